@@ -0,0 +1,78 @@
+// Keeps the app shell available offline. API responses are cached by the app
+// itself in IndexedDB (src/utils/offlineCache.js), so only same-origin
+// requests are handled here. Bump CACHE_VERSION to drop old caches.
+const CACHE_VERSION = 'v2'
+const CACHE_NAME = `chattahoochee-shell-${CACHE_VERSION}`
+const SHELL_FILES = ['./', './manifest.webmanifest', './icon.svg', './icon-192.png', './icon-512.png']
+// Written by the build (see vite.config.js) with the hashed bundle files
+const PRECACHE_MANIFEST = './precache-manifest.json'
+
+// Bundle files of the current build, relative to the app root; none in dev
+const getBuildFiles = async () => {
+  try {
+    const response = await fetch(PRECACHE_MANIFEST, { cache: 'no-cache' })
+    return response.ok ? (await response.json()).map(file => `./${file}`) : []
+  } catch {
+    return []
+  }
+}
+
+self.addEventListener('install', (event) => {
+  event.waitUntil(
+    getBuildFiles()
+      .then(async files => (await caches.open(CACHE_NAME)).addAll([...SHELL_FILES, ...files]))
+      .then(() => self.skipWaiting())
+  )
+})
+
+// Assets from earlier builds are never requested again once a new one is live
+const pruneOldAssets = async () => {
+  const files = await getBuildFiles()
+  if (files.length === 0) return
+  const current = new Set(files.map(file => new URL(file, self.registration.scope).href))
+  const cache = await caches.open(CACHE_NAME)
+  const requests = await cache.keys()
+  await Promise.all(requests
+    .filter(request => new URL(request.url).pathname.includes('/assets/') && !current.has(request.url))
+    .map(request => cache.delete(request)))
+}
+
+self.addEventListener('activate', (event) => {
+  event.waitUntil(
+    caches.keys()
+      .then(keys => Promise.all(keys.filter(key => key !== CACHE_NAME).map(key => caches.delete(key))))
+      .then(pruneOldAssets)
+      .then(() => self.clients.claim())
+  )
+})
+
+const putInCache = async (request, response) => {
+  if (response.ok) {
+    const cache = await caches.open(CACHE_NAME)
+    await cache.put(request, response.clone())
+  }
+  return response
+}
+
+// Pages go to the network first so a new deploy shows up straight away
+const networkFirst = async (request) => {
+  try {
+    return await putInCache(request, await fetch(request))
+  } catch (error) {
+    const cached = await caches.match(request) || await caches.match('./')
+    if (cached) return cached
+    throw error
+  }
+}
+
+// Built assets have content hashes in their names, so a cached copy never goes stale
+const cacheFirst = async (request) =>
+  await caches.match(request) || putInCache(request, await fetch(request))
+
+self.addEventListener('fetch', (event) => {
+  const { request } = event
+  if (request.method !== 'GET' || new URL(request.url).origin !== self.location.origin) return
+
+  const isBuiltAsset = request.mode !== 'navigate' && new URL(request.url).pathname.includes('/assets/')
+  event.respondWith(isBuiltAsset ? cacheFirst(request) : networkFirst(request))
+})
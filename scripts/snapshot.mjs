@@ -0,0 +1,104 @@
+// Fetches the configured sites, E.coli and weather into static JSON next to
+// the built app (see src/utils/archive.js for the file shapes):
+//   data/snapshot.json  latest data, for an instant first render
+//   data/archive.json   daily summaries, appended to on every run
+//
+//   node scripts/snapshot.mjs [--out dist/data] [--archive <url or file>]
+//
+// The previous archive is read from the deployed site by default
+// (SNAPSHOT_ARCHIVE_URL overrides it). If it can't be read for any reason
+// other than not existing yet, the script fails rather than start a new
+// archive over the old one; the last deploy stays up untouched.
+import { readFile, writeFile, mkdir } from 'node:fs/promises'
+import path from 'node:path'
+import { fileURLToPath } from 'node:url'
+import { fetchSite, fetchEcoli, fetchWeather, completeWeather } from '../src/api/dashboard.js'
+import { DEFAULT_RANGE } from '../src/utils/timeRange.js'
+import { SNAPSHOT_SCHEMA_VERSION, compactSnapshotSite, mergeArchive } from '../src/utils/archive.js'
+
+const ROOT = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..')
+
+const readJson = async (file) => JSON.parse(await readFile(file, 'utf8'))
+
+const parseArgs = (args) => {
+  const options = {}
+  for (let i = 0; i < args.length; i += 2) {
+    if (!args[i].startsWith('--')) throw new Error(`Unexpected argument ${args[i]}`)
+    options[args[i].slice(2)] = args[i + 1]
+  }
+  return options
+}
+
+const loadPreviousArchive = async (source) => {
+  if (/^https?:\/\//.test(source)) {
+    const response = await fetch(source)
+    if (response.status === 404) return null
+    if (!response.ok) throw new Error(`${source} responded with ${response.status}`)
+    return response.json()
+  }
+  try {
+    return await readJson(source)
+  } catch (error) {
+    if (error.code === 'ENOENT') return null
+    throw error
+  }
+}
+
+// One failed site shouldn't sink the snapshot; it is stored as null
+const settle = async (label, request) => {
+  try {
+    return await request
+  } catch (error) {
+    console.warn(`${label} unavailable: ${error.message}`)
+    return null
+  }
+}
+
+const main = async () => {
+  const config = await readJson(path.join(ROOT, 'src/config/dashboard.json'))
+  const { homepage } = await readJson(path.join(ROOT, 'package.json'))
+  const options = parseArgs(process.argv.slice(2))
+  const outDir = path.resolve(ROOT, options.out || 'dist/data')
+  const archiveSource = options.archive || process.env.SNAPSHOT_ARCHIVE_URL || `${homepage}/data/archive.json`
+
+  const previousArchive = await loadPreviousArchive(archiveSource)
+
+  const generatedAt = new Date().toISOString()
+  const siteResults = await Promise.all(config.siteIds.map(siteId => settle(`Site ${siteId}`, fetchSite(siteId, DEFAULT_RANGE))))
+  const ecoli = await settle('E.coli', fetchEcoli(config.ecoliSiteIds))
+  const weather = await settle('Weather', fetchWeather(config.weatherLocation))
+
+  const sites = Object.fromEntries(config.siteIds.map((siteId, index) => [siteId, siteResults[index]]))
+  if (Object.values(sites).every(site => !site)) {
+    throw new Error('No site data could be fetched')
+  }
+
+  const snapshot = {
+    schemaVersion: SNAPSHOT_SCHEMA_VERSION,
+    generatedAt,
+    range: DEFAULT_RANGE,
+    siteIds: config.siteIds,
+    ecoliSiteIds: config.ecoliSiteIds,
+    weatherLocation: config.weatherLocation,
+    sites: Object.fromEntries(Object.entries(sites).map(([siteId, site]) => [siteId, compactSnapshotSite(site)])),
+    ecoli: ecoli && Object.keys(ecoli).length > 0 ? ecoli : null,
+    // Failed NWS feeds come back null; the page expects every feed present
+    weather: weather && completeWeather(weather)
+  }
+  const archive = mergeArchive(previousArchive, { generatedAt, sites, ecoli: ecoli || {} })
+
+  await mkdir(outDir, { recursive: true })
+  await writeFile(path.join(outDir, 'snapshot.json'), JSON.stringify(snapshot))
+  await writeFile(path.join(outDir, 'archive.json'), JSON.stringify(archive))
+
+  const dayCount = Object.values(archive.sites)
+    .flatMap(site => Object.values(site.parameters))
+    .reduce((total, parameter) => total + parameter.days.length, 0)
+  // Status goes to stderr with the warnings; stdout stays empty
+  console.error(`Snapshot written to ${path.relative(ROOT, outDir)} (${dayCount} archived site-days${previousArchive ? '' : ', new archive'})`)
+}
+
+main().catch(error => {
+  console.error(`Snapshot failed: ${error.message}`)
+  process.exit(1)
+})
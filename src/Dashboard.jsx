@@ -1,59 +1,190 @@
-import React, { useState, useEffect, useMemo, useCallback } from 'react'
+import React, { useEffect, useMemo, useCallback, useRef } from 'react'
 import { 
   Chart as ChartJS,
-  CategoryScale,
   LinearScale,
+  TimeScale,
   PointElement,
   LineElement,
   Title,
   Tooltip,
   Legend,
+  Filler,
 } from 'chart.js'
-import { Line } from 'react-chartjs-2'
-import { MapContainer, TileLayer, Marker, Popup } from 'react-leaflet'
-import L from 'leaflet'
-import 'leaflet/dist/leaflet.css'
+import 'chartjs-adapter-luxon'
+import useDashboardData, { DEFAULT_REFRESH_INTERVAL } from './hooks/useDashboardData.js'
+import useNow from './hooks/useNow.js'
+import useOnlineStatus from './hooks/useOnlineStatus.js'
+import useHashRoute from './hooks/useHashRoute.js'
+import useTheme from './hooks/useTheme.js'
+import SiteCard from './components/SiteCard.jsx'
+import SiteManager from './components/SiteManager.jsx'
+import RangePicker from './components/RangePicker.jsx'
+import SiteDetailPage from './components/SiteDetailPage.jsx'
+import EcoliDetailPage from './components/EcoliDetailPage.jsx'
+import { DASHBOARD_ROUTE, buildHash, decodeRange } from './utils/routes.js'
+import EcoliCard from './components/EcoliCard.jsx'
+import useStoredState from './hooks/useStoredState.js'
+import useAlerts from './hooks/useAlerts.js'
+import AlertBanner from './components/AlertBanner.jsx'
+import AlertRulesPanel from './components/AlertRulesPanel.jsx'
+import {
+  ECOLI_SCHEMES,
+  DEFAULT_ECOLI_SCHEME,
+  getEcoliThresholdLines,
+  summarizeEcoliSite
+} from './utils/ecoli.js'
+import useSiteConfig from './hooks/useSiteConfig.js'
+import { DEFAULT_SITE_CONFIG } from './config/siteConfig.js'
+import { PARAMETER_CODES } from './api/usgs.js'
+import { buildDashboardCsv, buildDashboardExport, downloadFile, exportFilename } from './utils/export.js'
+import { PARAMETERS, SITE_PARAMETER_CODES } from './utils/parameters.js'
+import {
+  celsiusToFahrenheit,
+  formatSiteName,
+  formatTemperature,
+  formatParameterValue,
+  formatDateTime,
+  formatTime,
+  formatAirTemperature,
+  formatWindSpeed,
+  formatWindDirection
+} from './utils/format.js'
+import { DEFAULT_PREFERENCES } from './utils/preferences.js'
+import PreferencesPanel from './components/PreferencesPanel.jsx'
+import HourlyForecastChart from './components/HourlyForecastChart.jsx'
+import WeatherAlertBanner from './components/WeatherAlertBanner.jsx'
+import RiverOutlook from './components/RiverOutlook.jsx'
+import { buildRiverOutlook, recentRainfall } from './utils/outlook.js'
+import { RISK_LEVELS } from './utils/alerts.js'
+import SurgePanel from './components/SurgePanel.jsx'
+import { detectSurges, getUpcomingReleases } from './utils/surge.js'
+import ComparisonView from './components/ComparisonView.jsx'
+import SiteMap from './components/SiteMap.jsx'
+import DataSourceBanner from './components/DataSourceBanner.jsx'
+import { getDataSource } from './api/dataSource.js'
+import { summarizeDays } from './utils/statistics.js'
+import { formatAge, getDataAge } from './utils/freshness.js'
+import { buildAirSeries, forecastWaterTemperature } from './utils/waterForecast.js'
 import './Dashboard.css'
 
-// Fix for Leaflet marker icons in production
-delete L.Icon.Default.prototype._getIconUrl
-L.Icon.Default.mergeOptions({
-  iconRetinaUrl: 'https://cdnjs.cloudflare.com/ajax/libs/leaflet/1.9.4/images/marker-icon-2x.png',
-  iconUrl: 'https://cdnjs.cloudflare.com/ajax/libs/leaflet/1.9.4/images/marker-icon.png',
-  shadowUrl: 'https://cdnjs.cloudflare.com/ajax/libs/leaflet/1.9.4/images/marker-shadow.png',
-})
+// Minutes from a config or env value, or null when unset or not a number.
+// Env values are strings, so a blank one counts as unset rather than 0
+const parseMinutes = (value) => {
+  if (value === undefined || value === null || String(value).trim() === '') return null
+  const minutes = Number(value)
+  return Number.isFinite(minutes) && minutes >= 0 ? minutes : null
+}
+
+// Polling interval from dashboard.json, overridable at build time with VITE_REFRESH_MINUTES (0 disables)
+const REFRESH_MINUTES = parseMinutes(import.meta.env.VITE_REFRESH_MINUTES) ?? parseMinutes(DEFAULT_SITE_CONFIG.refreshMinutes)
+const REFRESH_INTERVAL = REFRESH_MINUTES !== null
+  ? REFRESH_MINUTES * 60 * 1000
+  : DEFAULT_REFRESH_INTERVAL
+
+// Detail pages prefix the page's own title with the site name
+const DOCUMENT_TITLE = document.title
+
+// Live APIs or built-in fixtures, fixed for the page load
+const DATA_SOURCE = getDataSource()
+
+// Optional dam release schedule feed (JSON file or URL)
+const RELEASE_SCHEDULE_URL = import.meta.env.VITE_RELEASE_SCHEDULE_URL || DEFAULT_SITE_CONFIG.releaseScheduleUrl
 
 ChartJS.register(
-  CategoryScale,
   LinearScale,
+  TimeScale,
   PointElement,
   LineElement,
   Title,
   Tooltip,
-  Legend
+  Legend,
+  Filler
 )
 
-// Utility functions
-const celsiusToFahrenheit = (celsius) => (celsius * 9/5) + 32
-const formatSiteName = (siteName) => siteName.replace('CHATTAHOOCHEE RIVER', 'Chattahoochee R.')
-const formatTemperature = (tempC) => {
-  const tempF = celsiusToFahrenheit(tempC)
-  return `${tempC}°C / ${tempF.toFixed(1)}°F`
-}
+// Secondary readings shown under the temperature in the summary grid
+const SUMMARY_PARAMETER_CODES = [PARAMETER_CODES.DISCHARGE, PARAMETER_CODES.GAGE_HEIGHT]
 
 const Dashboard = () => {
-  const [data, setData] = useState({ sites: [], ecoli: {} })
-  const [loading, setLoading] = useState(false)
-  const [loadingStates, setLoadingStates] = useState({
-    sites: true,
-    weather: true,
-    ecoli: true
+  const { config, updateConfig, resetConfig, urlOverrides } = useSiteConfig()
+  // Range, units and chart parameters live in the URL hash so any view can be shared
+  const [route, navigate] = useHashRoute()
+  const range = useMemo(() => decodeRange(route.range), [route.range])
+  const [ecoliScheme, setEcoliScheme] = useStoredState('ecoli-scheme', DEFAULT_ECOLI_SCHEME)
+  const [storedPreferences, setPreferences] = useStoredState('preferences', DEFAULT_PREFERENCES)
+  // Thresholds for the statistics panel's "hours above" count, per parameter in NWIS units
+  const [statThresholds, setStatThresholds] = useStoredState('stat-thresholds', {
+    [PARAMETER_CODES.WATER_TEMPERATURE]: 20
   })
-  const [errors, setErrors] = useState({
-    sites: null,
-    weather: null,
-    ecoli: null
+  const updateStatThreshold = useCallback((parameterCode, value) => {
+    setStatThresholds(prev => {
+      const { [parameterCode]: _, ...rest } = prev
+      return Number.isFinite(value) ? { ...rest, [parameterCode]: value } : rest
+    })
+  }, [setStatThresholds])
+  // Fill in options added since the preferences were saved; a shared link's units win
+  const preferences = useMemo(
+    () => ({ ...DEFAULT_PREFERENCES, ...storedPreferences, ...route.preferences }),
+    [storedPreferences, route.preferences]
+  )
+  const theme = useTheme(preferences.theme)
+
+  // Every hash carries the whole view, so links between pages keep it too
+  const hashFor = useCallback(
+    (target, changes = {}) => buildHash(target, { range, preferences, parameters: route.parameters, ...changes }),
+    [range, preferences, route.parameters]
+  )
+  const updateView = useCallback(
+    (changes) => navigate(hashFor(route, changes), { replace: true }),
+    [navigate, hashFor, route]
+  )
+  const siteHref = useCallback((siteId) => hashFor({ page: 'site', id: siteId }), [hashFor])
+  const ecoliHref = useCallback((siteId) => hashFor({ page: 'ecoli', id: siteId }), [hashFor])
+  const dashboardHref = hashFor(DASHBOARD_ROUTE)
+
+  // Write defaults and stored preferences into the URL, and drop anything invalid
+  useEffect(() => {
+    navigate(hashFor(route), { replace: true })
+  }, [navigate, hashFor, route])
+
+  const changeRange = useCallback((next) => updateView({ range: next }), [updateView])
+  const changeParameter = useCallback(
+    (siteId, parameterCode) => updateView({ parameters: { ...route.parameters, [siteId]: parameterCode } }),
+    [updateView, route.parameters]
+  )
+  const changePreferences = useCallback((next) => {
+    setPreferences(next)
+    updateView({ preferences: next })
+  }, [setPreferences, updateView])
+
+  // A linked site that isn't in this browser's configuration is loaded for its page
+  const siteIds = useMemo(
+    () => route.page === 'site' && !config.siteIds.includes(route.id) ? [...config.siteIds, route.id] : config.siteIds,
+    [route.page, route.id, config.siteIds]
+  )
+  const ecoliSiteIds = useMemo(
+    () => route.page === 'ecoli' && !config.ecoliSiteIds.includes(route.id) ? [...config.ecoliSiteIds, route.id] : config.ecoliSiteIds,
+    [route.page, route.id, config.ecoliSiteIds]
+  )
+  const {
+    sites,
+    ecoli,
+    weather,
+    releases,
+    refreshSite,
+    refreshSites,
+    refreshEcoli,
+    refreshWeather,
+    refreshAll
+  } = useDashboardData({
+    siteIds,
+    ecoliSiteIds,
+    weatherLocation: config.weatherLocation,
+    releaseScheduleUrl: RELEASE_SCHEDULE_URL,
+    range,
+    refreshInterval: REFRESH_INTERVAL
   })
+  const now = useNow()
+  const isOnline = useOnlineStatus()
 
   // All hooks must be at the top level
   const scrollToSite = useCallback((siteId) => {
@@ -63,310 +194,350 @@ const Dashboard = () => {
     }
   }, [])
 
-  const retryData = useCallback(async (type) => {
-    if (type === 'weather') {
-      setLoadingStates(prev => ({ ...prev, weather: true }))
-      setErrors(prev => ({ ...prev, weather: null }))
-      
-      try {
-        const weatherLat = 34.001056
-        const weatherLon = -84.367000
-        const weatherResponse = await fetch(`https://api.weather.gov/points/${weatherLat},${weatherLon}`)
-        let forecastData = []
-        
-        if (weatherResponse.ok) {
-          const weatherPoints = await weatherResponse.json()
-          if (weatherPoints.properties?.forecast) {
-            const forecastResponse = await fetch(weatherPoints.properties.forecast)
-            if (forecastResponse.ok) {
-              const forecast = await forecastResponse.json()
-              forecastData = forecast.properties?.periods?.slice(0, 14) || []
-            }
-          }
-        }
-        
-        setData(prev => ({ ...prev, forecast: forecastData }))
-        setLoadingStates(prev => ({ ...prev, weather: false }))
-        setErrors(prev => ({ ...prev, weather: forecastData.length === 0 ? 'Weather forecast temporarily unavailable' : null }))
-      } catch (error) {
-        setLoadingStates(prev => ({ ...prev, weather: false }))
-        setErrors(prev => ({ ...prev, weather: 'Unable to load weather forecast' }))
-      }
+  // New pages start at the top, except that coming back from a site's page
+  // returns to its card
+  const previousRoute = useRef(route)
+  useEffect(() => {
+    const previous = previousRoute.current
+    previousRoute.current = route
+    if (previous.page === route.page && previous.id === route.id) return
+    if (route.page === 'dashboard' && previous.page === 'site') {
+      scrollToSite(previous.id)
     } else {
-      // For sites and ecoli, reload for now (more complex to extract)
-      window.location.reload()
+      window.scrollTo(0, 0)
     }
-  }, [])
+  }, [route, scrollToSite])
 
-  // Handle legacy data structure or ensure sites is an array
-  const sites = Array.isArray(data) ? data : (data.sites || [])
-  const ecoliData = data.ecoli || {}
-  const forecastData = data.forecast || []
+  const ecoliData = ecoli.data
+  const { forecast: forecastData, hourly: hourlyForecast, observation, alerts: weatherAlerts, qpf, history: weatherHistory } = weather.data
+  const hasWeather = Boolean(observation) || forecastData.length > 0
+  const allSitesFailed = sites.every(site => !site.loading && !site.data)
+  const isRefreshing = weather.loading || ecoli.loading || sites.some(site => site.loading)
 
   // Memoized calculations for performance
   const processedSiteData = useMemo(() => {
-    return sites.map(site => {
-      const values = site.temperatureData?.values?.[0]?.value
-      if (!values || values.length === 0) {
-        return { ...site, latestTemp: null, dailyPeaks: {} }
+    return sites.map(({ data, ...site }) => {
+      if (!data) {
+        return {
+          ...site,
+          siteName: `USGS ${site.siteId}`,
+          location: null,
+          series: {},
+          chartSeries: {},
+          availableParameters: [],
+          chartParameters: [],
+          latestValues: {},
+          latestDateTime: null,
+          latestTemp: null,
+          dailyPeaks: {}
+        }
       }
 
-      // Calculate daily peaks
+      const availableParameters = SITE_PARAMETER_CODES.filter(code => data.series[code]?.points.length > 0)
+      const latestValues = {}
+      availableParameters.forEach(code => {
+        const points = data.series[code].points
+        latestValues[code] = points[points.length - 1]
+      })
+      const latestDateTime = Object.values(latestValues)
+        .map(point => point.dateTime)
+        .sort((a, b) => new Date(b) - new Date(a))[0] || null
+
+      const siteInfo = { ...site, ...data, availableParameters, latestValues, latestDateTime }
+
+      const chartParameters = SITE_PARAMETER_CODES.filter(code => data.chartSeries[code]?.points.length > 0)
+
+      // Daily peaks for the temperature tooltip (daily-value charts already have one point per day)
       const dailyPeaks = {}
-      values.forEach(v => {
-        const date = new Date(v.dateTime).toDateString()
-        const tempC = parseFloat(v.value)
-        if (!dailyPeaks[date] || tempC > dailyPeaks[date].tempC) {
-          dailyPeaks[date] = {
-            tempC: tempC,
-            tempF: celsiusToFahrenheit(tempC),
-            time: new Date(v.dateTime).toLocaleTimeString([], {hour: '2-digit', minute: '2-digit'})
-          }
+      const chartTemperatures = data.range.service === 'iv'
+        ? data.chartSeries[PARAMETER_CODES.WATER_TEMPERATURE]?.points || []
+        : []
+      summarizeDays(chartTemperatures, preferences).forEach(day => {
+        dailyPeaks[day.date] = {
+          tempC: day.max,
+          tempF: celsiusToFahrenheit(day.max),
+          dateTime: day.maxDateTime,
+          time: formatTime(day.maxDateTime, preferences)
         }
       })
 
       // Get latest temperature
-      const latest = values[values.length - 1]
-      const latestTemp = {
-        celsius: parseFloat(latest.value),
-        fahrenheit: celsiusToFahrenheit(parseFloat(latest.value)),
-        timestamp: new Date(latest.dateTime).toLocaleString([], {
-          month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit'
-        })
-      }
+      const latest = latestValues[PARAMETER_CODES.WATER_TEMPERATURE]
+      const latestTemp = latest ? {
+        celsius: latest.value,
+        fahrenheit: celsiusToFahrenheit(latest.value),
+        dateTime: latest.dateTime,
+        timestamp: formatDateTime(latest.dateTime, preferences)
+      } : null
 
-      return { ...site, latestTemp, dailyPeaks, temperatureValues: values }
+      return { ...siteInfo, chartParameters, latestTemp, dailyPeaks }
     })
-  }, [sites])
+  }, [sites, preferences])
 
-  useEffect(() => {
-    let isCancelled = false
-    
-    const updateLoadingState = (key, value) => {
-      if (!isCancelled) {
-        setLoadingStates(prev => ({ ...prev, [key]: value }))
-      }
-    }
-    
-    const updateError = (key, error) => {
-      if (!isCancelled) {
-        setErrors(prev => ({ ...prev, [key]: error }))
-      }
-    }
-    
-    const fetchDashboardData = async () => {
-      try {
-        // Your requested USGS monitoring sites near Roswell, GA
-        const siteIds = ['02335450', '02335778', '02335777', '02335779'] // Chattahoochee River sites near Roswell
-        
-        // Your requested weather coordinates
-        const weatherLat = 34.001056
-        const weatherLon = -84.367000
-        
-        // E.coli monitoring sites from Georgia BacteriALERT program
-        const ecoliSites = ['02335000', '02335880', '02336000'] // Norcross, Powers Ferry, Paces Ferry
-        
-        const siteDataPromises = siteIds.map(async (siteId) => {
-          try {
-            // Fetch USGS water temperature data for last 7 days
-            const sevenDaysAgo = new Date()
-            sevenDaysAgo.setDate(sevenDaysAgo.getDate() - 7)
-            const startDate = sevenDaysAgo.toISOString().split('T')[0]
-            
-            const waterResponse = await fetch(
-              `https://waterservices.usgs.gov/nwis/iv/?format=json&sites=${siteId}&parameterCd=00010&startDT=${startDate}&siteStatus=active`
-            )
-            if (!waterResponse.ok) {
-              console.warn(`Water data unavailable for site ${siteId}`)
-              return null
-            }
-            const waterData = await waterResponse.json()
-            
-            // Extract site info
-            const siteInfo = waterData.value.timeSeries[0]?.sourceInfo
-            if (!siteInfo) return null
-            
-            const lat = parseFloat(siteInfo.geoLocation.geogLocation.latitude)
-            const lon = parseFloat(siteInfo.geoLocation.geogLocation.longitude)
-            
-                // This will be handled globally after all sites
-            
-            return {
-              siteId: siteId,
-              siteName: siteInfo.siteName,
-              location: { lat: lat, lon: lon },
-              temperatureData: waterData.value.timeSeries[0] || { values: [{ value: [] }] }
-            }
-          } catch (error) {
-            console.warn(`Failed to fetch data for site ${siteId}:`, error.message)
-            return null
-          }
-        })
-        
-        const siteResults = await Promise.allSettled(siteDataPromises)
-        const validSites = siteResults
-          .filter(result => result.status === 'fulfilled' && result.value !== null)
-          .map(result => result.value)
-        
-        if (!isCancelled) {
-          updateLoadingState('sites', false)
-          if (validSites.length === 0) {
-            updateError('sites', 'Unable to load water monitoring data. Please try again later.')
-          } else {
-            updateError('sites', null)
-          }
-        }
+  const processedEcoliData = useMemo(() => {
+    return Object.values(ecoliData)
+      .map(site => summarizeEcoliSite(site, ecoliScheme))
+      .filter(Boolean)
+  }, [ecoliData, ecoliScheme])
 
-        // Fetch 7-day weather forecast for the specified location
-        let forecastData = []
-        try {
-          const weatherResponse = await fetch(`https://api.weather.gov/points/${weatherLat},${weatherLon}`)
-          if (weatherResponse.ok) {
-            const weatherPoints = await weatherResponse.json()
-            
-            if (weatherPoints.properties?.forecast) {
-              const forecastResponse = await fetch(weatherPoints.properties.forecast)
-              if (forecastResponse.ok) {
-                const forecast = await forecastResponse.json()
-                forecastData = forecast.properties?.periods?.slice(0, 14) || [] // 7 days = 14 periods (day/night)
-              }
-            }
-          }
-          if (!isCancelled) {
-            updateLoadingState('weather', false)
-            updateError('weather', forecastData.length === 0 ? 'Weather forecast temporarily unavailable' : null)
-          }
-        } catch (weatherError) {
-          console.warn('7-day weather forecast unavailable:', weatherError.message)
-          if (!isCancelled) {
-            updateLoadingState('weather', false)
-            updateError('weather', 'Unable to load weather forecast')
-          }
-        }
+  const hasEcoliData = processedEcoliData.length > 0
+  const alerts = useAlerts({ sites: processedSiteData, ecoli: processedEcoliData, preferences })
+  const siteOptions = processedSiteData.map(site => ({ siteId: site.siteId, name: formatSiteName(site.siteName) }))
+  const ecoliSiteOptions = config.ecoliSiteIds.map(siteId => {
+    const ecoliInfo = processedEcoliData.find(info => info.siteId === siteId)
+    return { siteId, name: ecoliInfo ? formatSiteName(ecoliInfo.siteName) : `USGS ${siteId}` }
+  })
+  const ecoliThresholdLines = useMemo(() => getEcoliThresholdLines(ecoliScheme), [ecoliScheme])
 
-        // Fetch E.coli data from BacteriALERT sites
-        let ecoliData = {}
-        try {
-          const ecoliResponse = await fetch(
-            `https://waterservices.usgs.gov/nwis/iv/?format=json&sites=${ecoliSites.join(',')}&parameterCd=99407&siteStatus=active`
-          )
-          if (ecoliResponse.ok) {
-            const ecoliJson = await ecoliResponse.json()
-            // Process E.coli data by site
-            ecoliJson.value.timeSeries?.forEach(series => {
-              const siteCode = series.sourceInfo.siteCode[0].value
-              const values = series.values[0]?.value
-              if (values && values.length > 0) {
-                const latest = values[values.length - 1]
-                const riskLevel = parseFloat(latest.value) > 235 ? 'High Risk' : 'Low Risk'
-                ecoliData[siteCode] = {
-                  value: latest.value,
-                  dateTime: latest.dateTime,
-                  siteName: series.sourceInfo.siteName,
-                  riskLevel: riskLevel
-                }
-              }
-            })
-          }
-          if (!isCancelled) {
-            updateLoadingState('ecoli', false)
-            updateError('ecoli', Object.keys(ecoliData).length === 0 ? 'E.coli data temporarily unavailable' : null)
-          }
-        } catch (ecoliError) {
-          console.warn('E.coli data unavailable:', ecoliError.message)
-          if (!isCancelled) {
-            updateLoadingState('ecoli', false)
-            updateError('ecoli', 'Unable to load E.coli safety data')
-          }
-        }
-        
-        if (!isCancelled) {
-          setData({ sites: validSites, ecoli: ecoliData, forecast: forecastData })
-        }
-      } catch (error) {
-        console.error('Failed to fetch real data:', error)
-        if (!isCancelled) {
-          // Set error states for all components
-          setErrors({
-            sites: 'Unable to load monitoring data',
-            weather: 'Unable to load weather forecast', 
-            ecoli: 'Unable to load E.coli data'
-          })
-          setLoadingStates({
-            sites: false,
-            weather: false,
-            ecoli: false
-          })
-          // Fallback to minimal mock data if APIs fail
-          setData({
-            sites: [{
-              siteId: 'error',
-              siteName: 'Data temporarily unavailable',
-              location: { lat: 34.001056, lon: -84.367000 },
-              temperatureData: { values: [{ value: [] }] }
-            }],
-            ecoli: {},
-            forecast: []
-          })
-        }
-      }
+  // Water temperature projections from the air forecast, for charts that run up to now
+  const waterForecasts = useMemo(() => {
+    const airSeries = buildAirSeries(weatherHistory, hourlyForecast)
+    return Object.fromEntries(processedSiteData.map(site => {
+      const isCurrent = site.range?.service === 'iv' && !site.range.endDT
+      const points = isCurrent ? site.chartSeries[PARAMETER_CODES.WATER_TEMPERATURE]?.points : null
+      return [site.siteId, points ? forecastWaterTemperature(points, airSeries) : null]
+    }))
+  }, [processedSiteData, weatherHistory, hourlyForecast])
+
+  const surges = useMemo(
+    () => detectSurges(processedSiteData, processedEcoliData, now),
+    [processedSiteData, processedEcoliData, now]
+  )
+  const upcomingReleases = useMemo(() => getUpcomingReleases(releases.data, now), [releases.data, now])
+  const releaseWindows = useMemo(
+    () => releases.data.map(release => ({ start: new Date(release.start).getTime(), end: new Date(release.end).getTime() })),
+    [releases.data]
+  )
+
+  // Outlook is driven by the worst current conditions anywhere on the stretch
+  const riverOutlook = useMemo(() => {
+    const discharges = processedSiteData
+      .map(site => site.latestValues[PARAMETER_CODES.DISCHARGE]?.value)
+      .filter(Number.isFinite)
+    const ecoliLevel = processedEcoliData
+      .map(info => info.risk.level)
+      .sort((a, b) => RISK_LEVELS.indexOf(b) - RISK_LEVELS.indexOf(a))[0] || null
+    return buildRiverOutlook({
+      qpf,
+      recentRainMm: recentRainfall(weatherHistory, now),
+      dischargeCfs: discharges.length > 0 ? Math.max(...discharges) : null,
+      ecoliLevel,
+      now
+    })
+  }, [processedSiteData, processedEcoliData, qpf, weatherHistory, now])
+
+  const exportDashboard = (format) => {
+    const contents = { sites: processedSiteData, ecoli: processedEcoliData, forecast: forecastData }
+    const name = exportFilename('chattahoochee-conditions', format)
+    if (format === 'csv') {
+      downloadFile(name, buildDashboardCsv(contents), 'text/csv')
+    } else {
+      downloadFile(name, JSON.stringify(buildDashboardExport(contents), null, 2), 'application/json')
     }
-    
-    fetchDashboardData()
-    
-    // Cleanup function to prevent setState on unmounted component
+  }
+
+  // Charts size themselves to the screen; resize them for the printed page and back
+  useEffect(() => {
+    const resizeCharts = () => Object.values(ChartJS.instances).forEach(chart => chart.resize())
+    window.addEventListener('beforeprint', resizeCharts)
+    window.addEventListener('afterprint', resizeCharts)
     return () => {
-      isCancelled = true
+      window.removeEventListener('beforeprint', resizeCharts)
+      window.removeEventListener('afterprint', resizeCharts)
     }
   }, [])
 
+  const copyLink = () => {
+    navigator.clipboard?.writeText(window.location.href)
+      .catch(error => console.warn('Unable to copy link:', error.message))
+  }
+
+  const detailSite = route.page === 'site' ? processedSiteData.find(site => site.siteId === route.id) : null
+  const detailEcoli = route.page === 'ecoli' ? processedEcoliData.find(info => info.siteId === route.id) : null
+  const pageTitle = detailSite ? formatSiteName(detailSite.siteName)
+    : detailEcoli ? `${formatSiteName(detailEcoli.siteName)} E.coli`
+    : null
+
+  useEffect(() => {
+    document.title = pageTitle ? `${pageTitle} - ${DOCUMENT_TITLE}` : DOCUMENT_TITLE
+  }, [pageTitle])
+
   // Removed global loading gate - now shows individual component loading states
 
+  const header = (
+    <>
+      <h1>Chattahoochee River Monitoring Dashboard</h1>
+      <p className="report-meta">Condition report generated {formatDateTime(now, preferences)}</p>
+      <DataSourceBanner dataSource={DATA_SOURCE} />
+
+      <div className="refresh-bar">
+        <span>
+          {REFRESH_INTERVAL > 0
+            ? `Auto-refreshes every ${Math.round(REFRESH_INTERVAL / 60000)} min while this tab is open`
+            : 'Auto-refresh disabled'}
+        </span>
+        <button onClick={refreshAll} className="retry-button" disabled={isRefreshing}>
+          {isRefreshing ? 'Refreshing...' : 'Refresh now'}
+        </button>
+        <button onClick={() => exportDashboard('csv')} className="link-button">Export CSV</button>
+        <button onClick={() => exportDashboard('json')} className="link-button">Export JSON</button>
+        <button onClick={() => window.print()} className="link-button">Print report</button>
+        <button onClick={copyLink} className="link-button">Copy link</button>
+      </div>
+
+      {!isOnline && (
+        <div className="offline-banner" role="status">
+          You're offline. Showing the last saved readings; they'll refresh when the connection returns.
+        </div>
+      )}
+    </>
+  )
+
+  if (route.page === 'site') {
+    return (
+      <div className="dashboard-container">
+        {header}
+        <SiteDetailPage
+          site={detailSite}
+          range={range}
+          backHref={dashboardHref}
+          now={now}
+          preferences={preferences}
+          theme={theme}
+          releaseWindows={releaseWindows}
+          waterForecast={waterForecasts[route.id]}
+          statThresholds={statThresholds}
+          selectedParameter={route.parameters[route.id]}
+          onRangeChange={changeRange}
+          onStatThresholdChange={updateStatThreshold}
+          onParameterChange={changeParameter}
+          onRetry={refreshSite}
+        />
+      </div>
+    )
+  }
+
+  if (route.page === 'ecoli') {
+    return (
+      <div className="dashboard-container">
+        {header}
+        <EcoliDetailPage
+          siteId={route.id}
+          ecoliInfo={detailEcoli}
+          ecoli={ecoli}
+          thresholdLines={ecoliThresholdLines}
+          backHref={dashboardHref}
+          now={now}
+          preferences={preferences}
+          theme={theme}
+          onRetry={refreshEcoli}
+        />
+      </div>
+    )
+  }
+
   return (
     <div className="dashboard-container">
-      <h1>Chattahoochee River Monitoring Dashboard</h1>
+      {header}
+
+      <SiteManager
+        config={config}
+        onChange={updateConfig}
+        onReset={resetConfig}
+        urlOverrides={urlOverrides}
+      />
+
+      <PreferencesPanel preferences={preferences} onChange={changePreferences} />
+
+      <AlertRulesPanel
+        rules={alerts.rules}
+        onRulesChange={alerts.setRules}
+        history={alerts.history}
+        onClearHistory={alerts.clearHistory}
+        siteOptions={siteOptions}
+        ecoliSiteOptions={ecoliSiteOptions}
+        permission={alerts.permission}
+        preferences={preferences}
+        onRequestPermission={alerts.requestPermission}
+      />
+
+      <AlertBanner alerts={alerts.alerts} onDismiss={alerts.dismissAlert} />
+
+      <WeatherAlertBanner alerts={weatherAlerts} preferences={preferences} />
+
+      <SurgePanel surges={surges} releases={upcomingReleases} preferences={preferences} />
 
       {/* Summary Section */}
       <div className="summary-section">
         <div className="summary-grid">
           <div className="weather-summary">
             <h3>Current Weather</h3>
-            {loadingStates.weather ? (
+            {weather.loading && !hasWeather ? (
               <div className="loading-spinner">Loading weather...</div>
-            ) : errors.weather ? (
+            ) : weather.error && !hasWeather ? (
               <div className="error-message">
                 <div className="current-temp">--°</div>
-                <div className="error-text">{errors.weather}</div>
-                <button onClick={() => retryData('weather')} className="retry-button">Retry</button>
+                <div className="error-text">{weather.error}</div>
+                <button onClick={refreshWeather} className="retry-button">Retry</button>
               </div>
+            ) : observation ? (
+              <>
+                <div className="current-temp">{formatAirTemperature(observation.temperature, 'C', preferences)}</div>
+                <div className="weather-desc">{observation.description}</div>
+                <div className="wind-info">
+                  Wind: {formatWindSpeed(observation.windSpeed, preferences)} {formatWindDirection(observation.windDirection)}
+                  {observation.relativeHumidity !== null && ` · Humidity ${Math.round(observation.relativeHumidity)}%`}
+                </div>
+                <div className="timestamp">
+                  Observed at {observation.stationName} ({observation.stationId}), {formatDateTime(observation.timestamp, preferences)}
+                </div>
+              </>
             ) : forecastData.length > 0 ? (
               <>
-                <div className="current-temp">{forecastData[0].temperature}°{forecastData[0].temperatureUnit}</div>
+                <div className="current-temp">{formatAirTemperature(forecastData[0].temperature, forecastData[0].temperatureUnit, preferences)}</div>
                 <div className="weather-desc">{forecastData[0].shortForecast}</div>
                 <div className="wind-info">Wind: {forecastData[0].windSpeed} {forecastData[0].windDirection}</div>
+                <div className="timestamp">Forecast for {forecastData[0].name.toLowerCase()}; no station observation available</div>
               </>
             ) : (
               <div className="current-temp">--°</div>
             )}
+            {weather.cachedAt && hasWeather && (
+              <div className="cached-note">Saved copy from {formatAge(getDataAge(weather.cachedAt, now))}</div>
+            )}
           </div>
           
           <div className="water-temps-summary">
-            <h3>Current Water Temperatures</h3>
-            {loadingStates.sites ? (
-              <div className="loading-spinner">Loading water data...</div>
-            ) : errors.sites ? (
+            <h3>Current River Conditions</h3>
+            {allSitesFailed ? (
               <div className="error-message">
-                <div className="error-text">{errors.sites}</div>
-                <button onClick={() => retryData('sites')} className="retry-button">Retry</button>
+                <div className="error-text">Unable to load water monitoring data. Please try again later.</div>
+                <button onClick={refreshSites} className="retry-button">Retry</button>
               </div>
             ) : (
               <div className="temp-grid">
                 {processedSiteData.map(site => (
                   <div key={site.siteId} className="temp-item">
                     <div className="site-name">{formatSiteName(site.siteName)}</div>
-                    <div className="temp-value">
-                      {site.latestTemp ? formatTemperature(site.latestTemp.celsius) : 'N/A'}
-                    </div>
+                    {site.loading && !site.latestTemp ? (
+                      <div className="loading-spinner">Loading...</div>
+                    ) : site.error && !site.latestTemp ? (
+                      <div className="error-message">
+                        <div className="error-text">{site.error}</div>
+                        <button onClick={() => refreshSite(site.siteId)} className="retry-button">Retry</button>
+                      </div>
+                    ) : (
+                      <>
+                        <div className="temp-value">
+                          {site.latestTemp ? formatTemperature(site.latestTemp.celsius, preferences) : 'N/A'}
+                        </div>
+                        {SUMMARY_PARAMETER_CODES.filter(code => site.latestValues[code]).map(code => (
+                          <div key={code} className="temp-secondary">
+                            {PARAMETERS[code].shortLabel}: {formatParameterValue(site.latestValues[code].value, code, preferences)}
+                          </div>
+                        ))}
+                      </>
+                    )}
                   </div>
                 ))}
               </div>
@@ -377,39 +548,73 @@ const Dashboard = () => {
       
       {/* E.coli Safety Information */}
       <div className="ecoli-section">
-        <h2>🦠 E.coli Water Safety - BacteriALERT Program</h2>
-        {loadingStates.ecoli ? (
+        <div className="section-header">
+          <h2>🦠 E.coli Water Safety - BacteriALERT Program</h2>
+          <label className="scheme-select">
+            Advisory thresholds:
+            <select value={ecoliScheme} onChange={event => setEcoliScheme(event.target.value)}>
+              {Object.entries(ECOLI_SCHEMES).map(([schemeId, scheme]) => (
+                <option key={schemeId} value={schemeId}>{scheme.label}</option>
+              ))}
+            </select>
+          </label>
+        </div>
+        {ecoli.loading && !hasEcoliData ? (
           <div className="loading-spinner">Loading E.coli data...</div>
-        ) : errors.ecoli ? (
+        ) : ecoli.error && !hasEcoliData ? (
           <div className="error-message">
-            <div className="error-text">{errors.ecoli}</div>
-            <button onClick={() => retryData('ecoli')} className="retry-button">Retry</button>
+            <div className="error-text">{ecoli.error}</div>
+            <button onClick={refreshEcoli} className="retry-button">Retry</button>
           </div>
-        ) : Object.keys(ecoliData).length > 0 ? (
-          <div className="ecoli-grid">
-            {Object.entries(ecoliData).map(([siteCode, ecoliInfo]) => (
-              <div key={siteCode} className={`ecoli-card ${ecoliInfo.riskLevel.toLowerCase().replace(' ', '-')}`}>
-                <h3>{formatSiteName(ecoliInfo.siteName)}</h3>
-                <p className="ecoli-value">{ecoliInfo.value} CFU/100mL</p>
-                <p className="risk-level">{ecoliInfo.riskLevel}</p>
-                <p className="timestamp">{new Date(ecoliInfo.dateTime).toLocaleString()}</p>
+        ) : hasEcoliData ? (
+          <>
+            {ecoli.error && (
+              <div className="error-message">
+                <div className="error-text">{ecoli.error} - showing last loaded readings</div>
+                <button onClick={refreshEcoli} className="retry-button">Retry</button>
               </div>
-            ))}
-          </div>
+            )}
+            <div className="ecoli-grid">
+              {processedEcoliData.map(ecoliInfo => (
+                <EcoliCard
+                  key={ecoliInfo.siteId}
+                  ecoliInfo={ecoliInfo}
+                  thresholdLines={ecoliThresholdLines}
+                  updatedAt={ecoli.updatedAt}
+                  cachedAt={ecoli.cachedAt}
+                  now={now}
+                  preferences={preferences}
+                  theme={theme}
+                  detailHref={ecoliHref(ecoliInfo.siteId)}
+                />
+              ))}
+            </div>
+          </>
         ) : (
           <div className="info-message">E.coli monitoring data not currently available</div>
         )}
       </div>
 
+      {/* Next 48 hours */}
+      {hourlyForecast.length > 0 && (
+        <div className="forecast-section">
+          <h2>🕑 Next 48 Hours</h2>
+          <div className="chart-container hourly-chart">
+            <HourlyForecastChart periods={hourlyForecast} preferences={preferences} theme={theme} />
+          </div>
+        </div>
+      )}
+
       {/* 7-Day Weather Forecast */}
       {forecastData.length > 0 && (
         <div className="forecast-section">
           <h2>🌤️ 7-Day Weather Forecast</h2>
+          <RiverOutlook outlook={riverOutlook} preferences={preferences} />
           <div className="forecast-grid">
             {forecastData.map((period, index) => (
               <div key={index} className="forecast-card">
                 <h4>{period.name}</h4>
-                <p className="forecast-temp">{period.temperature}°{period.temperatureUnit}</p>
+                <p className="forecast-temp">{formatAirTemperature(period.temperature, period.temperatureUnit, preferences)}</p>
                 <p className="forecast-desc">{period.shortForecast}</p>
                 <p className="wind-info">Wind: {period.windSpeed} {period.windDirection}</p>
               </div>
@@ -418,169 +623,38 @@ const Dashboard = () => {
         </div>
       )}
 
-      <div className="map-container">
-        <MapContainer center={[34.001056, -84.367000]} zoom={14} style={{ width: '100%' }}>
-          <TileLayer 
-            url="https://{s}.basemaps.cartocdn.com/dark_all/{z}/{x}/{y}{r}.png"
-            attribution='&copy; <a href="https://www.openstreetmap.org/copyright">OpenStreetMap</a> contributors &copy; <a href="https://carto.com/attributions">CARTO</a>'
+      <SiteMap
+        sites={processedSiteData}
+        ecoli={processedEcoliData}
+        ecoliScheme={ecoliScheme}
+        config={config}
+        fitToSites={!urlOverrides.includes('mapCenter') && !urlOverrides.includes('mapZoom')}
+        preferences={preferences}
+        theme={theme}
+        getSiteHref={siteHref}
+        getEcoliHref={ecoliHref}
+      />
+      <RangePicker range={range} onChange={changeRange} />
+      <ComparisonView sites={processedSiteData} preferences={preferences} theme={theme} />
+      <div className="site-cards">
+        {processedSiteData.map(site => (
+          <SiteCard
+            key={site.siteId}
+            site={site}
+            now={now}
+            preferences={preferences}
+            theme={theme}
+            releaseWindows={releaseWindows}
+            waterForecast={waterForecasts[site.siteId]}
+            statThresholds={statThresholds}
+            selectedParameter={route.parameters[site.siteId]}
+            detailHref={siteHref(site.siteId)}
+            onStatThresholdChange={updateStatThreshold}
+            onParameterChange={changeParameter}
+            onRetry={refreshSite}
           />
-          {processedSiteData.map(site => (
-            <Marker 
-              key={site.siteId} 
-              position={[site.location.lat, site.location.lon]}
-              eventHandlers={{
-                click: () => scrollToSite(site.siteId)
-              }}
-            >
-              <Popup>
-                <div>
-                  <strong>{formatSiteName(site.siteName)}</strong>
-                  <br />
-                  <small>Click marker to view chart</small>
-                  {site.latestTemp && (
-                    <div>
-                      <small>Latest: {formatTemperature(site.latestTemp.celsius)}</small>
-                    </div>
-                  )}
-                </div>
-              </Popup>
-            </Marker>
-          ))}
-        </MapContainer>
+        ))}
       </div>
-      {processedSiteData.map(site => (
-        <div key={site.siteId} id={`site-${site.siteId}`} className="site-card">
-          <h2>{formatSiteName(site.siteName)}</h2>
-          <p>Latest Water Temperature: {
-            site.latestTemp 
-              ? `${formatTemperature(site.latestTemp.celsius)} (${site.latestTemp.timestamp})`
-              : 'N/A'
-          }</p>
-
-          <div className="chart-container">
-            <h3>Water Temperature Over Time</h3>
-            {site.temperatureValues?.length > 0 ? (
-              (() => {
-                const last7DaysValues = site.temperatureValues
-                const dailyPeaks = site.dailyPeaks
-
-                return (
-                  <Line data={{
-                    labels: last7DaysValues.map(v => 
-                      new Date(v.dateTime).toLocaleDateString([], {month: 'short', day: 'numeric', hour: '2-digit'})
-                    ),
-                    datasets: [
-                      {
-                        label: 'Temperature (°C)',
-                        data: last7DaysValues.map(v => parseFloat(v.value)),
-                        borderColor: 'rgb(220, 38, 127)',
-                        backgroundColor: 'rgba(220, 38, 127, 0.1)',
-                        tension: 0.1,
-                        yAxisID: 'y'
-                      },
-                      {
-                        label: 'Temperature (°F)',
-                        data: last7DaysValues.map(v => celsiusToFahrenheit(parseFloat(v.value))),
-                        borderColor: 'rgb(59, 130, 246)',
-                        backgroundColor: 'rgba(59, 130, 246, 0.1)',
-                        tension: 0.1,
-                        yAxisID: 'y1'
-                      }
-                    ]
-                  }} 
-                  options={{
-                    responsive: true,
-                    maintainAspectRatio: false,
-                    plugins: {
-                      legend: {
-                        labels: {
-                          color: '#f8fafc'
-                        }
-                      },
-                      tooltip: {
-                        backgroundColor: '#1e293b',
-                        titleColor: '#f8fafc',
-                        bodyColor: '#cbd5e1',
-                        borderColor: '#475569',
-                        borderWidth: 1,
-                        callbacks: {
-                          afterBody: function(tooltipItems) {
-                            if (tooltipItems.length > 0) {
-                              const dataIndex = tooltipItems[0].dataIndex
-                              const currentDateTime = last7DaysValues[dataIndex].dateTime
-                              const currentDate = new Date(currentDateTime).toDateString()
-                              
-                              if (dailyPeaks[currentDate]) {
-                                const peak = dailyPeaks[currentDate]
-                                return [
-                                  '',
-                                  `Daily Peak: ${peak.tempC.toFixed(1)}°C / ${peak.tempF.toFixed(1)}°F`,
-                                  `Peak Time: ${peak.time}`
-                                ]
-                              }
-                            }
-                            return []
-                          }
-                        }
-                      }
-                    },
-                    scales: {
-                      y: {
-                        type: 'linear',
-                        display: true,
-                        position: 'left',
-                        title: {
-                          display: true,
-                          text: 'Temperature (°C)',
-                          color: '#f8fafc'
-                        },
-                        ticks: {
-                          color: '#cbd5e1'
-                        },
-                        grid: {
-                          color: '#475569'
-                        }
-                      },
-                      y1: {
-                        type: 'linear',
-                        display: true,
-                        position: 'right',
-                        title: {
-                          display: true,
-                          text: 'Temperature (°F)',
-                          color: '#f8fafc'
-                        },
-                        ticks: {
-                          color: '#cbd5e1'
-                        },
-                        grid: {
-                          drawOnChartArea: false,
-                          color: '#475569'
-                        }
-                      },
-                      x: {
-                        title: {
-                          display: true,
-                          text: `Last 7 Days (${last7DaysValues.length} readings)`,
-                          color: '#f8fafc'
-                        },
-                        ticks: {
-                          color: '#cbd5e1'
-                        },
-                        grid: {
-                          color: '#475569'
-                        }
-                      }
-                    }
-                  }} />
-                )
-              })()
-            ) : (
-              <p>No temperature data available</p>
-            )}
-          </div>
-        </div>
-      ))}
     </div>
   )
 }
@@ -0,0 +1,156 @@
+// Loaders for each dashboard section, shared by useDashboardData and the
+// deploy-time snapshot script (scripts/snapshot.mjs)
+import { getInstantaneousValues, getDailyValues, findSeries, PARAMETER_CODES } from './usgs.js'
+import {
+  getForecast,
+  getHourlyForecast,
+  getLatestObservation,
+  getActiveAlerts,
+  getQuantitativePrecipitation,
+  getObservationHistory
+} from './nws.js'
+import { SITE_PARAMETER_CODES } from '../utils/parameters.js'
+import { resolveRange } from '../utils/timeRange.js'
+import { fillFromArchive } from '../utils/archive.js'
+import { CALIBRATION_DAYS, fitRegressionModel } from '../utils/ecoliEstimate.js'
+
+const groupByParameter = (seriesList) => {
+  const series = {}
+  seriesList.forEach(s => {
+    // Some gauges report a parameter from more than one sensor; keep the first
+    if (!series[s.parameterCode]) series[s.parameterCode] = s
+  })
+  return series
+}
+
+// `loadArchive` resolves to data/archive.json (or null), which fills in history
+// the live services no longer keep; it is only called for history windows
+export const fetchSite = async (siteId, range, { loadArchive } = {}) => {
+  // Fetch every parameter the dashboard can show; NWIS simply leaves out the
+  // ones a gauge doesn't report
+  const timeWindow = resolveRange(range)
+  const request = { sites: [siteId], parameterCodes: SITE_PARAMETER_CODES }
+  const history = { ...request, startDT: timeWindow.startDT, endDT: timeWindow.endDT }
+
+  // Long or past windows chart their own series, but latest readings always
+  // come from the last day of instantaneous values
+  const [siteSeries, historySeries] = timeWindow.service === 'iv' && !timeWindow.endDT
+    ? [await getInstantaneousValues(history), null]
+    : await Promise.all([
+        getInstantaneousValues({ ...request, period: 'P1D' }),
+        timeWindow.service === 'dv' ? getDailyValues(history) : getInstantaneousValues(history)
+      ])
+  if (siteSeries.length === 0 && !historySeries?.length) return null
+
+  const info = siteSeries[0] || historySeries[0]
+  const series = groupByParameter(siteSeries)
+  const archive = historySeries && loadArchive ? await loadArchive() : null
+
+  return {
+    siteId: siteId,
+    siteName: info.siteName,
+    location: info.location,
+    series,
+    chartSeries: historySeries
+      ? fillFromArchive(groupByParameter(historySeries), archive?.sites[siteId], timeWindow)
+      : series,
+    range: timeWindow,
+    temperatureData: series[PARAMETER_CODES.WATER_TEMPERATURE] || null
+  }
+}
+
+// BacteriALERT samples are infrequent, so look back far enough for a trend
+const ECOLI_HISTORY_DAYS = 30
+
+const daysAgo = (days) => new Date(Date.now() - days * 24 * 60 * 60 * 1000)
+
+// Latest lab samples, turbidity for live estimates, and a longer record of
+// both that each site's turbidity regression is fitted from
+export const fetchEcoli = async (ecoliSiteIds) => {
+  const calibrationStart = daysAgo(CALIBRATION_DAYS)
+  const [ecoliSeries, turbiditySeries, dailyTurbiditySeries] = await Promise.all([
+    getInstantaneousValues({
+      sites: ecoliSiteIds,
+      parameterCodes: [PARAMETER_CODES.ECOLI],
+      startDT: calibrationStart
+    }),
+    getInstantaneousValues({
+      sites: ecoliSiteIds,
+      parameterCodes: [PARAMETER_CODES.TURBIDITY],
+      period: 'P1D'
+    }).catch(error => {
+      console.warn('Turbidity for E.coli estimates unavailable:', error.message)
+      return []
+    }),
+    getDailyValues({
+      sites: ecoliSiteIds,
+      parameterCodes: [PARAMETER_CODES.TURBIDITY],
+      startDT: calibrationStart
+    }).catch(error => {
+      console.warn('Turbidity history for E.coli regressions unavailable:', error.message)
+      return []
+    })
+  ])
+
+  const ecoliData = {}
+  const addSeries = (series, key) => {
+    if (series.points.length === 0) return
+    const site = ecoliData[series.siteId] || {
+      siteId: series.siteId,
+      siteName: series.siteName,
+      location: series.location,
+      series: null,
+      turbidity: null,
+      model: null
+    }
+    if (!site[key]) site[key] = series
+    ecoliData[series.siteId] = site
+  }
+  ecoliSeries.forEach(series => addSeries(series, 'series'))
+  turbiditySeries.forEach(series => addSeries(series, 'turbidity'))
+
+  const displayStart = daysAgo(ECOLI_HISTORY_DAYS).getTime()
+  Object.values(ecoliData).forEach(site => {
+    if (!site.series) return
+    const dailyTurbidity = findSeries(dailyTurbiditySeries, site.siteId, PARAMETER_CODES.TURBIDITY)
+    site.model = fitRegressionModel(site.series.points, dailyTurbidity?.points || [])
+    // Only the recent samples are shown
+    site.series = { ...site.series, points: site.series.points.filter(point => new Date(point.dateTime).getTime() >= displayStart) }
+    if (site.series.points.length === 0) site.series = null
+  })
+  return ecoliData
+}
+
+export const EMPTY_WEATHER = { forecast: [], hourly: [], observation: null, alerts: [], qpf: [], history: [] }
+
+// Fills failed (null) or missing feeds with their empty value, so weather that
+// is stored or published always has the shape the dashboard renders
+export const completeWeather = (weather) => Object.fromEntries(
+  Object.entries(EMPTY_WEATHER).map(([key, empty]) => {
+    const value = weather?.[key]
+    if (Array.isArray(empty)) return [key, Array.isArray(value) ? value : empty]
+    return [key, value ?? empty]
+  })
+)
+
+// Each weather feed is optional; a failed one comes back null so the
+// previous value can be kept
+export const fetchWeather = async ({ lat, lon }) => {
+  const requests = {
+    forecast: getForecast(lat, lon).then(periods => periods.slice(0, 14)), // 7 days = 14 periods (day/night)
+    hourly: getHourlyForecast(lat, lon, 72),
+    observation: getLatestObservation(lat, lon),
+    alerts: getActiveAlerts(lat, lon),
+    qpf: getQuantitativePrecipitation(lat, lon),
+    history: getObservationHistory(lat, lon)
+  }
+  const results = await Promise.allSettled(Object.values(requests))
+  return Object.fromEntries(Object.keys(requests).map((key, index) => {
+    const result = results[index]
+    if (result.status === 'rejected') {
+      console.warn(`NWS ${key} unavailable:`, result.reason.message)
+      return [key, null]
+    }
+    return [key, result.value]
+  }))
+}
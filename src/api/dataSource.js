@@ -0,0 +1,26 @@
+// Chooses where API requests are answered from. 'live' calls USGS and NWS;
+// 'fixtures' serves synthetic responses in each service's own format from
+// src/api/fixtures so the dashboard runs without a network, with scenario
+// packs for the failure paths.
+//   ?source=fixtures&scenario=flood-surge   or   VITE_DATA_SOURCE=fixtures
+import { setTransport } from './http.js'
+
+export const DATA_SOURCES = ['live', 'fixtures']
+
+const env = import.meta.env || {}
+
+export const getDataSource = (search = typeof window === 'undefined' ? '' : window.location.search) => {
+  const params = new URLSearchParams(search)
+  const mode = params.get('source') || env.VITE_DATA_SOURCE || 'live'
+  return {
+    mode: DATA_SOURCES.includes(mode) ? mode : 'live',
+    scenario: params.get('scenario') || env.VITE_FIXTURE_SCENARIO || 'normal'
+  }
+}
+
+// Fixtures are loaded on demand so live builds don't carry them in the main bundle
+export const installDataSource = async ({ mode, scenario }) => {
+  if (mode !== 'fixtures') return
+  const { createFixtureTransport } = await import('./fixtures/index.js')
+  setTransport(createFixtureTransport(scenario))
+}
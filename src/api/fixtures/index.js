@@ -0,0 +1,47 @@
+// Fixture transport for the 'fixtures' data source: answers USGS and NWS
+// requests with generated responses in each service's own format, shaped by
+// the selected scenario pack (see scenarios.json)
+import scenarios from './scenarios.json'
+import { seriesResponse, statisticsResponse, siteResponse } from './usgs.js'
+import { nwsResponse } from './nws.js'
+
+export const FIXTURE_SCENARIOS = scenarios
+
+const SOURCES = {
+  'waterservices.usgs.gov': 'USGS',
+  'api.weather.gov': 'NWS'
+}
+
+const route = (url, scenario, now) => {
+  const source = SOURCES[url.hostname]
+  if (scenario.failSources?.includes(source)) return { status: 503, body: 'Service Unavailable' }
+
+  if (source === 'NWS') return nwsResponse(url, scenario, now)
+  if (source === 'USGS') {
+    const service = url.pathname.split('/').filter(Boolean)[1]
+    if (service === 'iv' || service === 'dv') return seriesResponse(service, url.searchParams, scenario, now)
+    if (service === 'stat') return statisticsResponse(url.searchParams)
+    if (service === 'site') return siteResponse(url.searchParams)
+  }
+  return null
+}
+
+const wait = (ms) => new Promise(resolve => setTimeout(resolve, ms))
+
+// Returns a fetch-compatible function. Requests to other hosts (the release
+// schedule, map tiles) still go to the network.
+export const createFixtureTransport = (scenarioId) => {
+  const scenario = scenarios[scenarioId] || scenarios.normal
+  return async (input, init) => {
+    const url = new URL(input)
+    const fixture = route(url, scenario, Date.now())
+    if (!fixture) return fetch(input, init)
+
+    if (scenario.delayMs) await wait(scenario.delayMs)
+    const isText = typeof fixture.body === 'string'
+    return new Response(isText ? fixture.body : JSON.stringify(fixture.body), {
+      status: fixture.status,
+      headers: { 'Content-Type': isText ? 'text/plain' : 'application/geo+json' }
+    })
+  }
+}
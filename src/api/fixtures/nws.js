@@ -0,0 +1,171 @@
+// api.weather.gov-format fixture responses for the points -> forecast chain,
+// station observations, gridpoint rainfall and active alerts
+import fixtureAlerts from './alerts.json'
+import { noise } from './shared.js'
+
+const NWS_BASE_URL = 'https://api.weather.gov'
+const GRID_URL = `${NWS_BASE_URL}/gridpoints/FFC/52,93`
+const STATION = { id: `${NWS_BASE_URL}/stations/KPDK`, identifier: 'KPDK', name: 'Atlanta, DeKalb-Peachtree Airport' }
+
+const HOUR = 60 * 60 * 1000
+const OFFSET_HOURS = -4
+
+const DIRECTIONS = ['N', 'NE', 'E', 'SE', 'S', 'SW', 'W', 'NW']
+
+const toLocalIso = (time) =>
+  `${new Date(time + OFFSET_HOURS * HOUR).toISOString().slice(0, 19)}-0${Math.abs(OFFSET_HOURS)}:00`
+
+const localHour = (time) => new Date(time + OFFSET_HOURS * HOUR).getUTCHours()
+
+// Air temperature in °F: a daily cycle peaking mid-afternoon
+const airTemperatureF = (time) =>
+  Math.round(62 + 11 * Math.cos(((localHour(time) - 15) / 24) * 2 * Math.PI) + 2 * noise(`air:${Math.floor(time / HOUR)}`))
+
+// A storm scenario with rain in the first day's forecast makes the next 24 hours wet
+const rainChance = (time, scenario, now) =>
+  scenario.forecastRainMm?.[0] && time - now < 24 * HOUR ? 80 : Math.round(10 + 10 * Math.abs(noise(`pop:${Math.floor(time / HOUR)}`)))
+
+const startOfHour = (time) => Math.floor(time / HOUR) * HOUR
+
+const period = (number, start, hours, scenario, now, extra = {}) => {
+  const temperature = airTemperatureF(start + (hours > 1 ? hours / 2 : 0) * HOUR)
+  const pop = rainChance(start, scenario, now)
+  return {
+    number,
+    name: '',
+    startTime: toLocalIso(start),
+    endTime: toLocalIso(start + hours * HOUR),
+    isDaytime: localHour(start) >= 6 && localHour(start) < 18,
+    temperature,
+    temperatureUnit: 'F',
+    probabilityOfPrecipitation: { unitCode: 'wmoUnit:percent', value: pop },
+    windSpeed: `${5 + Math.round(3 * Math.abs(noise(`wind:${start}`)))} mph`,
+    windDirection: DIRECTIONS[number % DIRECTIONS.length],
+    shortForecast: pop >= 60 ? 'Showers And Thunderstorms' : pop >= 20 ? 'Partly Cloudy' : 'Mostly Sunny',
+    ...extra
+  }
+}
+
+const DAY_NAMES = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday']
+
+// Day/night periods switching at 6am and 6pm, like the NWS text forecast
+const forecastPeriods = (now, scenario) => {
+  const periods = []
+  let start = startOfHour(now)
+  for (let number = 1; number <= 14; number++) {
+    const hour = localHour(start)
+    const isDaytime = hour >= 6 && hour < 18
+    const hours = isDaytime ? 18 - hour : (hour >= 18 ? 30 - hour : 6 - hour)
+    const weekday = DAY_NAMES[new Date(start + OFFSET_HOURS * HOUR).getUTCDay()]
+    const name = number === 1
+      ? (isDaytime ? 'Today' : hour < 6 ? 'Overnight' : 'Tonight')
+      : number === 2 && !isDaytime ? 'Tonight' : isDaytime ? weekday : `${weekday} Night`
+    periods.push(period(number, start, hours, scenario, now, { name }))
+    start += hours * HOUR
+  }
+  return periods
+}
+
+const hourlyPeriods = (now, scenario) =>
+  Array.from({ length: 156 }, (_, index) => period(index + 1, startOfHour(now) + index * HOUR, 1, scenario, now))
+
+const quantity = (unitCode, value) => ({ unitCode, value })
+
+const fahrenheitToCelsius = (value) => (value - 32) * 5 / 9
+
+const observation = (time) => ({
+  '@id': `${STATION.id}/observations/${new Date(time).toISOString()}`,
+  timestamp: new Date(time).toISOString(),
+  textDescription: 'Partly Cloudy',
+  temperature: quantity('wmoUnit:degC', Number(fahrenheitToCelsius(airTemperatureF(time)).toFixed(1))),
+  dewpoint: quantity('wmoUnit:degC', 9.4),
+  relativeHumidity: quantity('wmoUnit:percent', 58),
+  windSpeed: quantity('wmoUnit:km_h-1', 11.2),
+  windGust: quantity('wmoUnit:km_h-1', null),
+  windDirection: quantity('wmoUnit:degree_(angle)', 220),
+  barometricPressure: quantity('wmoUnit:Pa', 101830),
+  precipitationLastHour: quantity('wmoUnit:mm', 0)
+})
+
+// Hourly observations; a storm scenario spreads its recent rain over the last six hours
+const observationHistory = (start, now, scenario) => {
+  const features = []
+  for (let time = startOfHour(start) + HOUR; time <= now; time += HOUR) {
+    const properties = observation(time)
+    if (scenario.recentRainMm && now - time < 6 * HOUR) {
+      properties.precipitationLastHour = quantity('wmoUnit:mm', scenario.recentRainMm / 6)
+    }
+    features.push({ type: 'Feature', properties })
+  }
+  return features
+}
+
+// Six-hour rainfall intervals; scenario totals are per day, spread over four intervals
+const quantitativePrecipitation = (now, scenario) =>
+  Array.from({ length: 28 }, (_, index) => {
+    const start = startOfHour(now) + index * 6 * HOUR
+    const dayTotal = scenario.forecastRainMm?.[Math.floor(index / 4)] ?? 0
+    return { validTime: `${new Date(start).toISOString().replace('.000', '')}/PT6H`, value: dayTotal / 4 }
+  })
+
+const alertFeatures = (now, scenario) =>
+  (scenario.alerts || []).map(alertId => {
+    const { onsetHours, endsHours, ...properties } = fixtureAlerts[alertId].properties
+    return {
+      ...fixtureAlerts[alertId],
+      properties: {
+        ...properties,
+        onset: toLocalIso(now + onsetHours * HOUR),
+        ends: toLocalIso(now + endsHours * HOUR),
+        expires: toLocalIso(now + endsHours * HOUR)
+      }
+    }
+  })
+
+export const nwsResponse = (url, scenario, now) => {
+  const { pathname, searchParams } = url
+
+  if (pathname.startsWith('/points/')) {
+    return {
+      status: 200,
+      body: {
+        properties: {
+          gridId: 'FFC',
+          forecast: `${GRID_URL}/forecast`,
+          forecastHourly: `${GRID_URL}/forecast/hourly`,
+          forecastGridData: GRID_URL,
+          observationStations: `${GRID_URL}/stations`
+        }
+      }
+    }
+  }
+  if (pathname.endsWith('/forecast')) {
+    return { status: 200, body: { properties: { periods: forecastPeriods(now, scenario) } } }
+  }
+  if (pathname.endsWith('/forecast/hourly')) {
+    return { status: 200, body: { properties: { periods: hourlyPeriods(now, scenario) } } }
+  }
+  if (pathname.endsWith('/stations')) {
+    return {
+      status: 200,
+      body: { features: [{ id: STATION.id, properties: { stationIdentifier: STATION.identifier, name: STATION.name } }] }
+    }
+  }
+  if (pathname.endsWith('/observations/latest')) {
+    return { status: 200, body: { properties: observation(startOfHour(now) - 10 * 60 * 1000) } }
+  }
+  if (pathname.endsWith('/observations')) {
+    const start = Date.parse(searchParams.get('start')) || now - 24 * HOUR
+    return { status: 200, body: { features: observationHistory(start, now, scenario) } }
+  }
+  if (pathname === '/alerts/active') {
+    return { status: 200, body: { features: alertFeatures(now, scenario) } }
+  }
+  if (pathname.startsWith('/gridpoints/')) {
+    return {
+      status: 200,
+      body: { properties: { quantitativePrecipitation: { uom: 'wmoUnit:mm', values: quantitativePrecipitation(now, scenario) } } }
+    }
+  }
+  return { status: 404, body: { title: 'Not Found', detail: `No fixture for ${pathname}` } }
+}
@@ -0,0 +1,22 @@
+// Deterministic jitter in [-1, 1] so fixture data is identical on every load
+export const noise = (key) => {
+  let hash = 2166136261
+  for (let i = 0; i < key.length; i++) {
+    hash ^= key.charCodeAt(i)
+    hash = Math.imul(hash, 16777619)
+  }
+  // Final mix so neighbouring keys ("site:1", "site:2") don't give similar values
+  hash ^= hash >>> 16
+  hash = Math.imul(hash, 0x85ebca6b)
+  hash ^= hash >>> 13
+  hash = Math.imul(hash, 0xc2b2ae35)
+  hash ^= hash >>> 16
+  return ((hash >>> 0) / 0xffffffff) * 2 - 1
+}
+
+// ISO 8601 durations as used by NWIS `period` (P7D, PT12H) in milliseconds
+export const parseDuration = (duration) => {
+  const match = /^P(?:(\d+)D)?(?:T(?:(\d+)H)?(?:(\d+)M)?)?$/.exec(duration || '')
+  if (!match) return 24 * 60 * 60 * 1000
+  return ((Number(match[1] || 0) * 24 + Number(match[2] || 0)) * 60 + Number(match[3] || 0)) * 60 * 1000
+}
@@ -0,0 +1,257 @@
+// NWIS-format fixture responses (iv, dv, stat and site services) built from
+// sites.json, with timestamps relative to the moment of the request
+import fixtureSites from './sites.json'
+import { noise, parseDuration } from './shared.js'
+
+const MINUTE = 60 * 1000
+const HOUR = 60 * MINUTE
+const DAY = 24 * HOUR
+const STEP = 15 * MINUTE
+const NO_DATA_VALUE = -999999
+const STORM_DAYS = 2
+// How steeply fixture E.coli counts rise with turbidity (log-log slope)
+const TURBIDITY_EXPONENT = 1.1
+
+// Local offset of the gauges, as NWIS reports it
+const SITE_OFFSET_HOURS = -4
+
+const PARAMETER_NAMES = {
+  '00010': 'Temperature, water, &#176;C',
+  '00060': 'Streamflow, ft&#179;/s',
+  '00065': 'Gage height, ft',
+  '00095': 'Specific cond at 25C, uS/cm @25C',
+  '00300': 'Dissolved oxygen, mg/l',
+  '63680': 'Turbidity, water, FNU',
+  '99407': 'Escherichia coli, cfu/100ml'
+}
+
+// What NWIS says about the qualifiers the fixtures use
+const QUALIFIER_DESCRIPTIONS = {
+  P: 'Provisional data subject to revision.',
+  Eqp: 'Equipment malfunction.',
+  Ice: 'Ice affected.'
+}
+
+const toNwisDateTime = (time) => {
+  const local = new Date(time + SITE_OFFSET_HOURS * HOUR)
+  return `${local.toISOString().slice(0, 23)}-0${Math.abs(SITE_OFFSET_HOURS)}:00`
+}
+
+const toNwisDate = (time) => new Date(time + SITE_OFFSET_HOURS * HOUR).toISOString().slice(0, 10)
+
+const localHour = (time) => new Date(time + SITE_OFFSET_HOURS * HOUR).getUTCHours() + new Date(time).getUTCMinutes() / 60
+
+// Surge scenario: a ramp to the raised level starting at each site's onset time
+const surgeShare = (siteId, time, surge, now) => {
+  const onset = surge?.onsetHours?.[siteId]
+  if (onset === undefined) return 0
+  const start = now - surge.startedHoursAgo * HOUR + onset * HOUR
+  return Math.min(1, Math.max(0, (time - start) / (surge.rampHours * HOUR)))
+}
+
+const readingAt = (siteId, code, time, scenario, now) => {
+  const profile = fixtureSites.sites[siteId].parameters[code]
+  const diurnal = profile.amplitude
+    ? profile.amplitude * Math.cos(((localHour(time) - profile.peakHour) / 24) * 2 * Math.PI)
+    : 0
+  // A slow multi-day swing so daily means and long ranges aren't flat
+  const drift = (profile.spread || 0) * 0.3 * Math.sin(time / (5 * DAY))
+  let value = profile.base + diurnal + drift + profile.noise * noise(`${siteId}:${code}:${Math.floor(time / STEP)}`)
+
+  const share = surgeShare(siteId, time, scenario.surge, now)
+  if (share > 0 && code === '00065') value += scenario.surge.gageRiseFeet * share
+  if (share > 0 && code === '00060') value *= 1 + (scenario.surge.dischargeFactor - 1) * share
+  // The storm scenario muddies the water for the last two days only
+  if (code === '63680' && scenario.turbidityFactor && time > now - STORM_DAYS * DAY) value *= scenario.turbidityFactor
+  return value
+}
+
+// Lab samples a few days apart at mid-morning; the newest is from today or
+// yesterday. Counts follow the turbidity at the time, as in the river, so the
+// dashboard's regression fit has a relationship to find.
+const ecoliSamples = (siteId, startTime, endTime, scenario, now) => {
+  const site = fixtureSites.sites[siteId]
+  const profile = site.parameters['99407']
+  const turbidityBase = site.parameters['63680'].base
+  const spacing = (site.ecoliSampleDays || 3) * DAY
+  const samples = []
+  const today = Date.parse(`${toNwisDate(endTime)}T10:00:00.000Z`) - SITE_OFFSET_HOURS * HOUR
+  for (let time = today > endTime ? today - DAY : today; time >= startTime; time -= spacing) {
+    const turbidity = readingAt(siteId, '63680', time, {}, now)
+    const scatter = 10 ** (profile.logNoise * noise(`${siteId}:99407:${Math.floor(time / DAY)}`))
+    const value = Math.max(1, profile.base * (Math.max(turbidity, 0.1) / turbidityBase) ** TURBIDITY_EXPONENT * scatter)
+    // The storm scenario only affects the latest two samples
+    const factor = scenario.ecoliFactor && time > endTime - 2 * spacing ? scenario.ecoliFactor : 1
+    samples.unshift({ time, value: Math.round(value * factor) })
+  }
+  return samples
+}
+
+const round = (value, code) => {
+  const decimals = code === '00060' ? 0 : code === '00065' ? 2 : 1
+  return value.toFixed(decimals)
+}
+
+const timeSeriesJson = (siteId, code, values, statisticCode) => {
+  const site = fixtureSites.sites[siteId]
+  return {
+    sourceInfo: {
+      siteName: site.siteName,
+      siteCode: [{ value: siteId, network: 'NWIS', agencyCode: 'USGS' }],
+      geoLocation: { geogLocation: { srs: 'EPSG:4326', latitude: site.lat, longitude: site.lon } }
+    },
+    variable: {
+      variableCode: [{ value: code, network: 'NWIS', vocabulary: 'NWIS:UnitValues' }],
+      variableName: PARAMETER_NAMES[code],
+      unit: { unitCode: fixtureSites.units[code] },
+      noDataValue: NO_DATA_VALUE,
+      options: {
+        option: statisticCode ? [{ name: 'Statistic', optionCode: statisticCode }] : [{ name: 'Statistic' }]
+      }
+    },
+    values: [{
+      value: values,
+      qualifier: [...new Set(['P', ...values.flatMap(value => value.qualifiers)])]
+        .map(code => ({ qualifierCode: code, qualifierDescription: QUALIFIER_DESCRIPTIONS[code] }))
+    }],
+    name: `USGS:${siteId}:${code}:${statisticCode || '00000'}`
+  }
+}
+
+const requestWindow = (params, now, isDaily) => {
+  const period = params.get('period')
+  const endDT = params.get('endDT')
+  const endTime = endDT ? Math.min(now, Date.parse(isDaily ? `${endDT}T23:59:59` : endDT)) : now
+  const startDT = params.get('startDT')
+  const startTime = startDT
+    ? Date.parse(isDaily && !startDT.includes('T') ? `${startDT}T00:00:00` : startDT)
+    : endTime - (period ? parseDuration(period) : DAY)
+  return { startTime, endTime }
+}
+
+// Problems a scenario puts into the 15-minute record, as NWIS reports them:
+// a gap leaves readings out, a missing reading is the -999999 sentinel, and
+// either kind can carry a qualifier such as Eqp or Ice. Daily values only
+// cover complete past days, so they are left as they are.
+const dataIssueAt = (siteId, code, time, scenario, now) =>
+  scenario.dataIssues?.find(issue =>
+    issue.siteId === siteId &&
+    issue.parameterCode === code &&
+    time >= now - issue.fromHoursAgo * HOUR &&
+    time <= now - issue.toHoursAgo * HOUR
+  )
+
+const instantaneousValues = (siteId, code, { startTime, endTime }, scenario, now) => {
+  if (code === '99407') {
+    return ecoliSamples(siteId, startTime, endTime, scenario, now)
+      .map(({ time, value }) => ({ value: String(value), qualifiers: ['P'], dateTime: toNwisDateTime(time) }))
+  }
+  const values = []
+  for (let time = Math.ceil(startTime / STEP) * STEP; time <= endTime; time += STEP) {
+    const issue = dataIssueAt(siteId, code, time, scenario, now)
+    if (issue?.type === 'gap') continue
+    values.push({
+      value: issue?.type === 'missing' ? String(NO_DATA_VALUE) : round(readingAt(siteId, code, time, scenario, now), code),
+      qualifiers: issue?.qualifier ? ['P', issue.qualifier] : ['P'],
+      dateTime: toNwisDateTime(time)
+    })
+  }
+  return values
+}
+
+const dailyValues = (siteId, code, { startTime, endTime }, scenario, now) => {
+  const values = []
+  for (let day = Math.floor(startTime / DAY) * DAY; day + DAY <= endTime; day += DAY) {
+    let sum = 0
+    for (let hour = 0; hour < 24; hour++) sum += readingAt(siteId, code, day + hour * HOUR, scenario, now)
+    values.push({ value: round(sum / 24, code), qualifiers: ['P'], dateTime: `${toNwisDate(day + 12 * HOUR)}T00:00:00.000` })
+  }
+  return values
+}
+
+const requestedSites = (params, scenario) =>
+  (params.get('sites') || '').split(',')
+    .filter(siteId => fixtureSites.sites[siteId] && !scenario.offlineSites?.includes(siteId))
+
+export const seriesResponse = (service, params, scenario, now) => {
+  const siteIds = requestedSites(params, scenario)
+  if (siteIds.length === 0) return { status: 503, body: 'Service Unavailable' }
+
+  const codes = (params.get('parameterCd') || '').split(',')
+  const window = requestWindow(params, now, service === 'dv')
+  const timeSeries = []
+  siteIds.forEach(siteId => {
+    codes.filter(code => fixtureSites.sites[siteId].parameters[code]).forEach(code => {
+      // Lab samples have no daily mean
+      if (service === 'dv' && code === '99407') return
+      const values = service === 'dv'
+        ? dailyValues(siteId, code, window, scenario, now)
+        : instantaneousValues(siteId, code, window, scenario, now)
+      timeSeries.push(timeSeriesJson(siteId, code, values, service === 'dv' ? '00003' : null))
+    })
+  })
+  return { status: 200, body: { name: 'ns1:timeSeriesResponseType', value: { timeSeries } } }
+}
+
+const rdb = (columns, rows) => [
+  '# Fixture response in NWIS RDB format',
+  columns.join('\t'),
+  columns.map(() => '10s').join('\t'),
+  ...rows.map(row => columns.map(column => row[column] ?? '').join('\t'))
+].join('\n')
+
+const STAT_PERCENTILES = { p05: -1.6, p10: -1.3, p20: -0.85, p25: -0.7, p50: 0, p75: 0.7, p80: 0.85, p90: 1.3, p95: 1.6 }
+
+// Day-of-year statistics centred on each site's typical reading
+export const statisticsResponse = (params) => {
+  const siteIds = (params.get('sites') || '').split(',').filter(siteId => fixtureSites.sites[siteId])
+  const codes = (params.get('parameterCd') || '').split(',')
+  const rows = []
+  siteIds.forEach(siteId => {
+    codes.forEach(code => {
+      const profile = fixtureSites.sites[siteId].parameters[code]
+      if (!profile?.spread) return
+      for (let day = 0; day < 366; day++) {
+        const date = new Date(Date.UTC(2024, 0, 1 + day))
+        const row = {
+          agency_cd: 'USGS',
+          site_no: siteId,
+          parameter_cd: code,
+          month_nu: date.getUTCMonth() + 1,
+          day_nu: date.getUTCDate(),
+          begin_yr: 2001,
+          end_yr: 2024,
+          count_nu: 24,
+          min_va: round(profile.base - profile.spread * 2.2, code),
+          max_va: round(profile.base + profile.spread * 2.2, code),
+          mean_va: round(profile.base, code)
+        }
+        Object.entries(STAT_PERCENTILES).forEach(([column, z]) => {
+          row[`${column}_va`] = round(profile.base + profile.spread * z, code)
+        })
+        rows.push(row)
+      }
+    })
+  })
+  if (rows.length === 0) return { status: 404, body: 'No sites found matching all criteria' }
+  const columns = ['agency_cd', 'site_no', 'parameter_cd', 'month_nu', 'day_nu', 'begin_yr', 'end_yr', 'count_nu',
+    'min_va', 'max_va', 'mean_va', ...Object.keys(STAT_PERCENTILES).map(column => `${column}_va`)]
+  return { status: 200, body: rdb(columns, rows) }
+}
+
+// Site search ignores the bounding box and state; every fixture site matches
+export const siteResponse = (params) => {
+  const requested = params.get('sites')?.split(',')
+  const rows = Object.entries(fixtureSites.sites)
+    .filter(([siteId]) => !requested || requested.includes(siteId))
+    .map(([siteId, site]) => ({
+      agency_cd: 'USGS',
+      site_no: siteId,
+      station_nm: site.siteName,
+      site_tp_cd: 'ST',
+      dec_lat_va: site.lat,
+      dec_long_va: site.lon
+    }))
+  if (rows.length === 0) return { status: 404, body: 'No sites found matching all criteria' }
+  return { status: 200, body: rdb(['agency_cd', 'site_no', 'station_nm', 'site_tp_cd', 'dec_lat_va', 'dec_long_va'], rows) }
+}
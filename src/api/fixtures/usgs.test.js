@@ -0,0 +1,42 @@
+import { describe, it, expect } from 'vitest'
+import scenarios from './scenarios.json'
+import { seriesResponse } from './usgs.js'
+import { normalizeTimeSeries } from '../usgs.js'
+
+const HOUR = 60 * 60 * 1000
+const NOW = Date.parse('2026-06-01T16:00:00.000Z')
+
+const fetchSeries = (siteId, code, scenario) => {
+  const params = new URLSearchParams({ sites: siteId, parameterCd: code, period: 'P2D' })
+  const { body } = seriesResponse('iv', params, scenarios[scenario], NOW)
+  return { raw: body.value.timeSeries[0], series: normalizeTimeSeries(body.value.timeSeries[0]) }
+}
+
+const hoursAgo = (point) => (NOW - Date.parse(point.dateTime)) / HOUR
+
+describe('messy-data scenario', () => {
+  it('leaves a gap in the readings', () => {
+    const { series } = fetchSeries('02335450', '00010', 'messy-data')
+    expect(series.points.some(point => hoursAgo(point) >= 6 && hoursAgo(point) <= 9)).toBe(false)
+    expect(series.points.some(point => hoursAgo(point) > 9)).toBe(true)
+  })
+
+  it('sends the no-data sentinel with an Eqp qualifier, which the client drops', () => {
+    const { raw, series } = fetchSeries('02335778', '00060', 'messy-data')
+    const sentinels = raw.values[0].value.filter(value => value.value === '-999999')
+    expect(sentinels).toHaveLength(13)
+    expect(sentinels[0].qualifiers).toEqual(['P', 'Eqp'])
+    expect(series.qualifiers).toMatchObject({ Eqp: 'Equipment malfunction.' })
+    expect(series.points.some(point => point.value === -999999)).toBe(false)
+  })
+
+  it('qualifies readings as ice affected', () => {
+    const { series } = fetchSeries('02335777', '00065', 'messy-data')
+    expect(series.points[series.points.length - 1].qualifiers).toEqual(['P', 'Ice'])
+    expect(series.points[0].qualifiers).toEqual(['P'])
+  })
+
+  it('only describes the qualifiers a series uses', () => {
+    expect(Object.keys(fetchSeries('02335777', '00065', 'normal').series.qualifiers)).toEqual(['P'])
+  })
+})
@@ -0,0 +1,55 @@
+// Shared fetch helper for the USGS and NWS clients
+
+export class ApiError extends Error {
+  constructor(message, { source, url, status = null, cause } = {}) {
+    super(message, { cause })
+    this.name = 'ApiError'
+    this.source = source
+    this.url = url
+    this.status = status
+  }
+}
+
+export const buildUrl = (base, params = {}) => {
+  const query = Object.entries(params)
+    .filter(([, value]) => value !== undefined && value !== null && value !== '')
+    .map(([key, value]) => `${key}=${Array.isArray(value) ? value.map(encodeURIComponent).join(',') : encodeURIComponent(value)}`)
+    .join('&')
+  return query ? `${base}?${query}` : base
+}
+
+// Everything goes through `transport`, which the fixtures data source swaps
+// for generated responses (see dataSource.js)
+let transport = (url, init) => fetch(url, init)
+
+export const setTransport = (nextTransport) => {
+  transport = nextTransport
+}
+
+const request = async (url, { source, headers } = {}) => {
+  let response
+  try {
+    response = await transport(url, { headers })
+  } catch (error) {
+    throw new ApiError(`${source} request failed: ${error.message}`, { source, url, cause: error })
+  }
+
+  if (!response.ok) {
+    throw new ApiError(`${source} responded with ${response.status}`, { source, url, status: response.status })
+  }
+  return response
+}
+
+export const fetchJson = async (url, options = {}) => {
+  const response = await request(url, options)
+  try {
+    return await response.json()
+  } catch (error) {
+    throw new ApiError(`${options.source} returned invalid JSON`, { source: options.source, url, status: response.status, cause: error })
+  }
+}
+
+export const fetchText = async (url, options = {}) => {
+  const response = await request(url, options)
+  return response.text()
+}
@@ -0,0 +1,136 @@
+// National Weather Service (api.weather.gov) client
+import { ApiError, buildUrl, fetchJson } from './http.js'
+
+const NWS_BASE_URL = 'https://api.weather.gov'
+
+// Point metadata doesn't change, so the points -> forecast chain only pays for it once
+const pointCache = new Map()
+
+export const SEVERITY_ORDER = ['Extreme', 'Severe', 'Moderate', 'Minor', 'Unknown']
+
+export const getPoint = async (lat, lon) => {
+  const key = `${lat.toFixed(4)},${lon.toFixed(4)}`
+  if (!pointCache.has(key)) {
+    const request = fetchJson(`${NWS_BASE_URL}/points/${key}`, { source: 'NWS' })
+      .then(json => json.properties)
+    pointCache.set(key, request)
+    request.catch(() => pointCache.delete(key))
+  }
+  return pointCache.get(key)
+}
+
+const getPointProperty = async (lat, lon, property) => {
+  const point = await getPoint(lat, lon)
+  const url = point?.[property]
+  if (!url) {
+    throw new ApiError(`NWS point ${lat},${lon} has no ${property} link`, { source: 'NWS' })
+  }
+  return url
+}
+
+/**
+ * Day/night forecast periods for a location (14 periods = 7 days).
+ * @returns {Promise<Object[]>} NWS forecast periods
+ */
+export const getForecast = async (lat, lon) => {
+  const url = await getPointProperty(lat, lon, 'forecast')
+  const forecast = await fetchJson(url, { source: 'NWS' })
+  return forecast.properties?.periods || []
+}
+
+/**
+ * Hourly forecast periods for a location, trimmed to the next `hours` hours.
+ * @returns {Promise<Object[]>} NWS hourly forecast periods
+ */
+export const getHourlyForecast = async (lat, lon, hours = 48) => {
+  const url = await getPointProperty(lat, lon, 'forecastHourly')
+  const forecast = await fetchJson(url, { source: 'NWS' })
+  return (forecast.properties?.periods || []).slice(0, hours)
+}
+
+// NWS quantitative values look like { unitCode: 'wmoUnit:degC', value: 21.7 }
+const quantity = (field) => (Number.isFinite(field?.value) ? field.value : null)
+
+const getNearestStation = async (lat, lon) => {
+  const stationsUrl = await getPointProperty(lat, lon, 'observationStations')
+  const stations = await fetchJson(stationsUrl, { source: 'NWS' })
+  // Stations come back nearest first
+  return stations.features?.[0] || null
+}
+
+/**
+ * Latest observation from the station nearest the location.
+ * Temperatures are °C, wind km/h, pressure Pa, humidity %.
+ * @returns {Promise<Object|null>} normalized observation, or null if the station has none
+ */
+export const getLatestObservation = async (lat, lon) => {
+  const station = await getNearestStation(lat, lon)
+  if (!station) return null
+
+  const observation = await fetchJson(`${station.id}/observations/latest`, { source: 'NWS' })
+  const properties = observation.properties || {}
+  return {
+    stationId: station.properties.stationIdentifier,
+    stationName: station.properties.name,
+    timestamp: properties.timestamp,
+    description: properties.textDescription,
+    temperature: quantity(properties.temperature),
+    dewpoint: quantity(properties.dewpoint),
+    relativeHumidity: quantity(properties.relativeHumidity),
+    windSpeed: quantity(properties.windSpeed),
+    windGust: quantity(properties.windGust),
+    windDirection: quantity(properties.windDirection),
+    barometricPressure: quantity(properties.barometricPressure)
+  }
+}
+
+/**
+ * Watches, warnings and advisories in effect at a location.
+ * @returns {Promise<Object[]>} alert properties, most severe first
+ */
+export const getActiveAlerts = async (lat, lon) => {
+  const url = buildUrl(`${NWS_BASE_URL}/alerts/active`, { point: [lat.toFixed(4), lon.toFixed(4)] })
+  const json = await fetchJson(url, { source: 'NWS' })
+  return (json.features || [])
+    .map(feature => feature.properties)
+    .sort((a, b) => SEVERITY_ORDER.indexOf(a.severity) - SEVERITY_ORDER.indexOf(b.severity))
+}
+
+/**
+ * Observations from the nearest station over the last `hours` hours, oldest
+ * first. Temperature is °C and precipitation mm; either may be null.
+ * @returns {Promise<Array<{timestamp: string, temperature: number|null, precipitationLastHour: number|null}>>}
+ */
+export const getObservationHistory = async (lat, lon, hours = 168) => {
+  const station = await getNearestStation(lat, lon)
+  if (!station) return []
+  const start = new Date(Date.now() - hours * 60 * 60 * 1000).toISOString()
+  const url = buildUrl(`${station.id}/observations`, { start })
+  const json = await fetchJson(url, { source: 'NWS' })
+  return (json.features || [])
+    .map(feature => ({
+      timestamp: feature.properties.timestamp,
+      temperature: quantity(feature.properties.temperature),
+      precipitationLastHour: quantity(feature.properties.precipitationLastHour)
+    }))
+    .sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp))
+}
+
+// ISO 8601 durations on gridpoint validTime, e.g. "PT6H" or "P1DT12H"
+const durationHours = (duration) => {
+  const match = /^P(?:(\d+)D)?(?:T(?:(\d+)H)?)?/.exec(duration)
+  return match ? Number(match[1] || 0) * 24 + Number(match[2] || 0) : 0
+}
+
+/**
+ * Quantitative precipitation forecast from the NWS gridpoint data.
+ * @returns {Promise<Array<{start: string, hours: number, mm: number}>>} forecast rain per interval
+ */
+export const getQuantitativePrecipitation = async (lat, lon) => {
+  const url = await getPointProperty(lat, lon, 'forecastGridData')
+  const grid = await fetchJson(url, { source: 'NWS' })
+  return (grid.properties?.quantitativePrecipitation?.values || []).map(({ validTime, value }) => {
+    const [start, duration] = validTime.split('/')
+    return { start, hours: durationHours(duration), mm: value ?? 0 }
+  })
+}
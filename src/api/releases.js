@@ -0,0 +1,27 @@
+// Dam release (generation) schedule feed. There is no public federal API for
+// this, so the dashboard reads any JSON file or URL in this shape:
+//   { "releases": [{ "dam": "Buford Dam", "start": "2025-06-01T14:00:00-04:00",
+//                    "end": "2025-06-01T18:00:00-04:00", "units": 1, "dischargeCfs": 4500 }] }
+import { fetchJson } from './http.js'
+
+const isValidTime = (value) => Boolean(value) && !Number.isNaN(new Date(value).getTime())
+
+/**
+ * Scheduled releases from a schedule feed, earliest first.
+ * @param {string} url - JSON file or endpoint
+ * @returns {Promise<Array<{dam: string, start: string, end: string, units: number|null, dischargeCfs: number|null}>>}
+ */
+export const getReleaseSchedule = async (url) => {
+  const json = await fetchJson(url, { source: 'Release schedule' })
+  const releases = Array.isArray(json) ? json : json.releases || []
+  return releases
+    .filter(release => isValidTime(release.start) && isValidTime(release.end))
+    .map(release => ({
+      dam: release.dam || 'Dam',
+      start: release.start,
+      end: release.end,
+      units: Number.isFinite(release.units) ? release.units : null,
+      dischargeCfs: Number.isFinite(release.dischargeCfs) ? release.dischargeCfs : null
+    }))
+    .sort((a, b) => new Date(a.start) - new Date(b.start))
+}
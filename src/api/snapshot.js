@@ -0,0 +1,26 @@
+// Deploy-time data published next to the app by scripts/snapshot.mjs. Both
+// files are optional: a dev server or a first deploy simply has neither.
+import { fetchJson } from './http.js'
+import { SNAPSHOT_SCHEMA_VERSION, ARCHIVE_SCHEMA_VERSION } from '../utils/archive.js'
+
+const DATA_URL = `${import.meta.env.BASE_URL}data/`
+
+const requests = new Map()
+
+// Fetched once per page load; resolves to null when missing, unreadable or
+// written with a schema this build doesn't understand
+const loadDataFile = (file, schemaVersion) => {
+  if (!requests.has(file)) {
+    requests.set(file, fetchJson(`${DATA_URL}${file}`, { source: 'Snapshot' })
+      .then(json => (json?.schemaVersion === schemaVersion ? json : null))
+      .catch(error => {
+        console.warn(`No ${file}:`, error.message)
+        return null
+      }))
+  }
+  return requests.get(file)
+}
+
+export const loadSnapshot = () => loadDataFile('snapshot.json', SNAPSHOT_SCHEMA_VERSION)
+
+export const loadArchive = () => loadDataFile('archive.json', ARCHIVE_SCHEMA_VERSION)
@@ -0,0 +1,228 @@
+// USGS NWIS water services client
+import { ApiError, buildUrl, fetchJson, fetchText } from './http.js'
+import { toDateInput } from '../utils/timeRange.js'
+
+const NWIS_BASE_URL = 'https://waterservices.usgs.gov/nwis'
+
+export const PARAMETER_CODES = {
+  WATER_TEMPERATURE: '00010',
+  DISCHARGE: '00060',
+  GAGE_HEIGHT: '00065',
+  TURBIDITY: '63680',
+  SPECIFIC_CONDUCTANCE: '00095',
+  DISSOLVED_OXYGEN: '00300',
+  ECOLI: '99407',
+}
+
+/**
+ * @typedef {Object} SeriesPoint
+ * @property {string} dateTime ISO timestamp as reported by NWIS
+ * @property {number} value
+ * @property {string[]} qualifiers e.g. ['P'] or ['A', 'Ice']
+ */
+
+/**
+ * @typedef {Object} Series
+ * @property {string} siteId
+ * @property {string} siteName
+ * @property {{lat: number, lon: number}} location
+ * @property {string} parameterCode
+ * @property {string} parameterName
+ * @property {string} unit
+ * @property {number|null} noDataValue
+ * @property {string|null} statisticCode daily-values statistic (00003 = mean), null for instantaneous values
+ * @property {Object<string, string>} qualifiers qualifier code -> description
+ * @property {SeriesPoint[]} points no-data sentinel values already removed
+ */
+
+// NWIS accepts dates or ISO timestamps; trim milliseconds it doesn't understand.
+// The daily-values service only takes plain dates, taken from the local
+// calendar so a window starting at local midnight asks for that day
+export const formatNwisDate = (date, dateOnly = false) => {
+  if (!date) return undefined
+  if (typeof date === 'string') return dateOnly ? date.split('T')[0] : date
+  if (dateOnly) return toDateInput(date)
+  return date.toISOString().replace(/\.\d{3}Z$/, 'Z')
+}
+
+/** @returns {Series} */
+export const normalizeTimeSeries = (timeSeries) => {
+  const { sourceInfo, variable } = timeSeries
+  const block = timeSeries.values?.[0] || { value: [], qualifier: [] }
+  const geo = sourceInfo.geoLocation?.geogLocation || {}
+
+  const qualifiers = {}
+  ;(block.qualifier || []).forEach(q => {
+    qualifiers[q.qualifierCode] = q.qualifierDescription
+  })
+
+  const noDataValue = variable.noDataValue ?? null
+
+  return {
+    siteId: sourceInfo.siteCode[0].value,
+    siteName: sourceInfo.siteName,
+    location: { lat: parseFloat(geo.latitude), lon: parseFloat(geo.longitude) },
+    parameterCode: variable.variableCode[0].value,
+    parameterName: variable.variableName,
+    unit: variable.unit?.unitCode || '',
+    noDataValue,
+    statisticCode: variable.options?.option?.find(o => o.name === 'Statistic')?.optionCode || null,
+    qualifiers,
+    // The -999999 sentinel (and anything unparseable) is dropped, leaving a gap
+    points: (block.value || [])
+      .map(v => ({
+        dateTime: v.dateTime,
+        value: parseFloat(v.value),
+        qualifiers: v.qualifiers || [],
+      }))
+      .filter(point => Number.isFinite(point.value) && point.value !== noDataValue),
+  }
+}
+
+export const STATISTIC_CODES = {
+  MAXIMUM: '00001',
+  MINIMUM: '00002',
+  MEAN: '00003',
+}
+
+const requestSeries = async (service, { sites, parameterCodes, startDT, endDT, period, statCodes, siteStatus = 'active' }) => {
+  if (!sites || sites.length === 0) {
+    throw new ApiError('At least one site is required', { source: 'USGS' })
+  }
+
+  const url = buildUrl(`${NWIS_BASE_URL}/${service}/`, {
+    format: 'json',
+    sites,
+    parameterCd: parameterCodes,
+    startDT: formatNwisDate(startDT, service === 'dv'),
+    endDT: formatNwisDate(endDT, service === 'dv'),
+    period,
+    statCd: statCodes,
+    siteStatus,
+  })
+
+  const json = await fetchJson(url, { source: 'USGS' })
+  const timeSeries = json?.value?.timeSeries
+  if (!Array.isArray(timeSeries)) {
+    throw new ApiError('USGS response did not include timeSeries', { source: 'USGS', url })
+  }
+  return timeSeries.map(normalizeTimeSeries)
+}
+
+/**
+ * Instantaneous values (the ~15 minute readings) for one or more sites.
+ * @param {{sites: string[], parameterCodes?: string[], startDT?: Date|string, endDT?: Date|string, period?: string, siteStatus?: string}} options
+ * @returns {Promise<Series[]>}
+ */
+export const getInstantaneousValues = (options) => requestSeries('iv', options)
+
+/**
+ * Daily statistics (mean by default) - the long-term record, back decades for most gauges.
+ * Points are dated at local midnight of each day.
+ * @param {{sites: string[], parameterCodes?: string[], startDT?: Date|string, endDT?: Date|string, statCodes?: string[]}} options
+ * @returns {Promise<Series[]>}
+ */
+export const getDailyValues = ({ statCodes = [STATISTIC_CODES.MEAN], ...options }) =>
+  requestSeries('dv', { ...options, statCodes })
+
+export const findSeries = (series, siteId, parameterCode) =>
+  series.find(s => s.siteId === siteId && s.parameterCode === parameterCode) || null
+
+// The site service only speaks RDB (tab-delimited text), not JSON
+export const parseRdb = (text) => {
+  const lines = text.split(/\r?\n/).filter(line => line && !line.startsWith('#'))
+  if (lines.length < 2) return []
+  const headers = lines[0].split('\t')
+  // lines[1] holds column widths/types (e.g. "5s\t15s"), not data
+  return lines.slice(2).map(line => {
+    const cells = line.split('\t')
+    return Object.fromEntries(headers.map((header, index) => [header, cells[index] ?? '']))
+  })
+}
+
+/**
+ * Search NWIS for monitoring sites. NWIS requires a major filter (bBox, stateCd
+ * or sites); it has no name filter, so `name` is matched client-side.
+ * @param {{name?: string, bBox?: number[], stateCd?: string, sites?: string[], siteType?: string, hasDataTypeCd?: string}} options
+ * @returns {Promise<{siteId: string, siteName: string, siteType: string, location: {lat: number, lon: number}}[]>}
+ */
+export const findSites = async ({ name, bBox, stateCd, sites, siteType = 'ST', hasDataTypeCd = 'iv' } = {}) => {
+  if (!bBox && !stateCd && !sites) {
+    throw new ApiError('Site search needs a bounding box, state or site list', { source: 'USGS' })
+  }
+
+  const url = buildUrl(`${NWIS_BASE_URL}/site/`, {
+    format: 'rdb',
+    bBox: bBox?.map(n => n.toFixed(6)),
+    stateCd,
+    sites,
+    siteType,
+    hasDataTypeCd,
+    siteStatus: 'active'
+  })
+
+  let text
+  try {
+    text = await fetchText(url, { source: 'USGS' })
+  } catch (error) {
+    // NWIS answers 404 when nothing matches the filters
+    if (error.status === 404) return []
+    throw error
+  }
+
+  const needle = name?.trim().toLowerCase()
+  return parseRdb(text)
+    .filter(row => !needle || row.station_nm.toLowerCase().includes(needle))
+    .map(row => ({
+      siteId: row.site_no,
+      siteName: row.station_nm,
+      siteType: row.site_tp_cd,
+      location: { lat: parseFloat(row.dec_lat_va), lon: parseFloat(row.dec_long_va) }
+    }))
+}
+
+const PERCENTILE_COLUMNS = [5, 10, 20, 25, 50, 75, 80, 90, 95]
+
+const parseStat = (value) => {
+  const number = parseFloat(value)
+  return Number.isFinite(number) ? number : null
+}
+
+/**
+ * Day-of-year statistics (min, max, mean, percentiles) from the NWIS
+ * statistics service, computed from each site's approved daily means.
+ * @param {{sites: string[], parameterCodes: string[]}} options
+ * @returns {Promise<{siteId: string, parameterCode: string, month: number, day: number, beginYear: number, endYear: number, count: number, min: number, max: number, mean: number, percentiles: Object<number, number>}[]>}
+ */
+export const getDailyStatistics = async ({ sites, parameterCodes }) => {
+  const url = buildUrl(`${NWIS_BASE_URL}/stat/`, {
+    format: 'rdb',
+    sites,
+    parameterCd: parameterCodes,
+    statReportType: 'daily',
+    statTypeCd: 'all'
+  })
+
+  let text
+  try {
+    text = await fetchText(url, { source: 'USGS' })
+  } catch (error) {
+    // Sites without enough approved record have no statistics
+    if (error.status === 404) return []
+    throw error
+  }
+
+  return parseRdb(text).map(row => ({
+    siteId: row.site_no,
+    parameterCode: row.parameter_cd,
+    month: Number(row.month_nu),
+    day: Number(row.day_nu),
+    beginYear: Number(row.begin_yr),
+    endYear: Number(row.end_yr),
+    count: Number(row.count_nu),
+    min: parseStat(row.min_va),
+    max: parseStat(row.max_va),
+    mean: parseStat(row.mean_va),
+    percentiles: Object.fromEntries(PERCENTILE_COLUMNS.map(p => [p, parseStat(row[`p${String(p).padStart(2, '0')}_va`])]))
+  }))
+}
@@ -0,0 +1,18 @@
+import { describe, it, expect } from 'vitest'
+import { formatNwisDate } from './usgs.js'
+
+describe('formatNwisDate', () => {
+  it('gives daily values the local calendar date', () => {
+    expect(formatNwisDate(new Date(2026, 4, 31, 22, 0), true)).toBe('2026-05-31')
+    expect(formatNwisDate(new Date(2026, 5, 1, 0, 0), true)).toBe('2026-06-01')
+  })
+
+  it('trims milliseconds from instantaneous timestamps', () => {
+    expect(formatNwisDate(new Date('2026-06-01T12:00:00.123Z'))).toBe('2026-06-01T12:00:00Z')
+  })
+
+  it('passes strings through', () => {
+    expect(formatNwisDate('2026-06-01T08:00:00', true)).toBe('2026-06-01')
+    expect(formatNwisDate(undefined)).toBeUndefined()
+  })
+})
@@ -0,0 +1,23 @@
+import React from 'react'
+
+const AlertBanner = ({ alerts, onDismiss }) => {
+  if (alerts.length === 0) return null
+
+  return (
+    <div className="alert-banners" role="alert">
+      {alerts.map(alert => (
+        <div key={alert.key} className="alert-banner">
+          <div>
+            <strong>{alert.ruleName}</strong> - {alert.siteName}
+            <div className="alert-message">{alert.message}</div>
+          </div>
+          <button className="link-button" onClick={() => onDismiss(alert.key)} aria-label={`Dismiss ${alert.ruleName} alert`}>
+            Dismiss
+          </button>
+        </div>
+      ))}
+    </div>
+  )
+}
+
+export default AlertBanner
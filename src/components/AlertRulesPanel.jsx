@@ -0,0 +1,192 @@
+import React, { useState } from 'react'
+import { PARAMETERS, SITE_PARAMETER_CODES } from '../utils/parameters.js'
+import { formatDateTime } from '../utils/format.js'
+import {
+  ALL_SITES,
+  CONDITIONS,
+  RISK_LEVELS,
+  RULE_PRESETS,
+  createRule,
+  describeRule,
+  getThresholdScale
+} from '../utils/alerts.js'
+
+const EMPTY_DRAFT = {
+  name: '',
+  type: 'site',
+  siteId: ALL_SITES,
+  parameterCode: SITE_PARAMETER_CODES[0],
+  condition: 'above',
+  threshold: '',
+  windowMinutes: 60,
+  level: 'high'
+}
+
+const AlertRulesPanel = ({ rules, onRulesChange, history, onClearHistory, siteOptions, ecoliSiteOptions, permission, onRequestPermission, preferences }) => {
+  const [draft, setDraft] = useState(EMPTY_DRAFT)
+  const siteNames = Object.fromEntries([...siteOptions, ...ecoliSiteOptions].map(site => [site.siteId, site.name]))
+  const targetOptions = draft.type === 'ecoli' ? ecoliSiteOptions : siteOptions
+  const isValid = draft.name.trim() && (draft.type === 'ecoli' || Number.isFinite(parseFloat(draft.threshold)))
+  // The threshold is typed in display units and stored in NWIS units
+  const thresholdScale = getThresholdScale(draft.parameterCode, draft.condition, preferences)
+
+  const updateDraft = (changes) => setDraft(prev => ({ ...prev, ...changes }))
+
+  const addRule = (event) => {
+    event.preventDefault()
+    if (!isValid) return
+    const fields = draft.type === 'ecoli'
+      ? { name: draft.name.trim(), type: 'ecoli', siteId: draft.siteId, level: draft.level }
+      : {
+          name: draft.name.trim(),
+          type: 'site',
+          siteId: draft.siteId,
+          parameterCode: draft.parameterCode,
+          condition: draft.condition,
+          threshold: thresholdScale.invert(parseFloat(draft.threshold)),
+          windowMinutes: Number(draft.windowMinutes) || 60
+        }
+    onRulesChange([...rules, createRule(fields)])
+    setDraft(EMPTY_DRAFT)
+  }
+
+  const updateRule = (ruleId, changes) => {
+    onRulesChange(rules.map(rule => rule.id === ruleId ? { ...rule, ...changes } : rule))
+  }
+
+  return (
+    <details className="settings-panel alert-panel">
+      <summary>Alerts{rules.length > 0 && ` (${rules.filter(rule => rule.enabled).length} active rules)`}</summary>
+
+      <div className="settings-form alert-permission">
+        {permission === 'granted' && <span>Browser notifications are on.</span>}
+        {permission === 'denied' && <span>Browser notifications are blocked; alerts show on this page only.</span>}
+        {permission === 'unsupported' && <span>This browser doesn't support notifications; alerts show on this page only.</span>}
+        {permission === 'default' && (
+          <button className="retry-button" onClick={onRequestPermission}>Enable browser notifications</button>
+        )}
+      </div>
+
+      <h4>Rules</h4>
+      {rules.length === 0 ? (
+        <p className="info-message">No alert rules yet. Start from a preset or build one below.</p>
+      ) : (
+        <ul>
+          {rules.map(rule => (
+            <li key={rule.id}>
+              <label>
+                <input
+                  type="checkbox"
+                  checked={rule.enabled}
+                  onChange={event => updateRule(rule.id, { enabled: event.target.checked })}
+                />
+                <strong>{rule.name}</strong>: {describeRule(rule, siteNames, preferences)}
+              </label>
+              <button className="link-button" onClick={() => onRulesChange(rules.filter(r => r.id !== rule.id))}>
+                Delete
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+
+      <div className="settings-form">
+        <span>Presets:</span>
+        {RULE_PRESETS.map(preset => (
+          <button key={preset.name} className="link-button" onClick={() => onRulesChange([...rules, createRule(preset)])}>
+            + {preset.name}
+          </button>
+        ))}
+      </div>
+
+      <h4>New rule</h4>
+      <form onSubmit={addRule} className="settings-form">
+        <input
+          value={draft.name}
+          onChange={event => updateDraft({ name: event.target.value })}
+          placeholder="Rule name"
+          aria-label="Rule name"
+        />
+        <select
+          value={draft.type}
+          onChange={event => updateDraft({ type: event.target.value, siteId: ALL_SITES })}
+          aria-label="Rule type"
+        >
+          <option value="site">Site reading</option>
+          <option value="ecoli">E.coli risk</option>
+        </select>
+        <select value={draft.siteId} onChange={event => updateDraft({ siteId: event.target.value })} aria-label="Site">
+          <option value={ALL_SITES}>Any site</option>
+          {targetOptions.map(site => (
+            <option key={site.siteId} value={site.siteId}>{site.name}</option>
+          ))}
+        </select>
+        {draft.type === 'ecoli' ? (
+          <select value={draft.level} onChange={event => updateDraft({ level: event.target.value })} aria-label="Risk level">
+            {RISK_LEVELS.map(level => (
+              <option key={level} value={level}>reaches {level.replace('-', ' ')}</option>
+            ))}
+          </select>
+        ) : (
+          <>
+            <select
+              value={draft.parameterCode}
+              onChange={event => updateDraft({ parameterCode: event.target.value })}
+              aria-label="Parameter"
+            >
+              {SITE_PARAMETER_CODES.map(code => (
+                <option key={code} value={code}>{PARAMETERS[code].label}</option>
+              ))}
+            </select>
+            <select value={draft.condition} onChange={event => updateDraft({ condition: event.target.value })} aria-label="Condition">
+              {Object.entries(CONDITIONS).map(([condition, label]) => (
+                <option key={condition} value={condition}>{label}</option>
+              ))}
+            </select>
+            <input
+              type="number"
+              step="any"
+              value={draft.threshold}
+              onChange={event => updateDraft({ threshold: event.target.value })}
+              placeholder={thresholdScale.unit}
+              aria-label={`Threshold (${thresholdScale.unit})`}
+            />
+            {draft.condition === 'rises' && (
+              <input
+                type="number"
+                min="15"
+                step="15"
+                value={draft.windowMinutes}
+                onChange={event => updateDraft({ windowMinutes: event.target.value })}
+                aria-label="Within minutes"
+                title="Within minutes"
+              />
+            )}
+          </>
+        )}
+        <button type="submit" className="retry-button" disabled={!isValid}>Add rule</button>
+      </form>
+
+      <h4>History</h4>
+      {history.length === 0 ? (
+        <p className="info-message">No alerts have fired yet.</p>
+      ) : (
+        <>
+          <ul className="alert-history">
+            {history.map(entry => (
+              <li key={`${entry.key}-${entry.firedAt}`}>
+                <span>
+                  <strong>{entry.ruleName}</strong> - {entry.siteName}: {entry.message}
+                </span>
+                <span className="timestamp">{formatDateTime(entry.firedAt, preferences)}</span>
+              </li>
+            ))}
+          </ul>
+          <button className="link-button" onClick={onClearHistory}>Clear history</button>
+        </>
+      )}
+    </details>
+  )
+}
+
+export default AlertRulesPanel
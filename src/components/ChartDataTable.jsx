@@ -0,0 +1,39 @@
+import React, { useState } from 'react'
+
+// The values behind a chart as a table, for keyboard and screen reader users.
+// Rows are only built while it's open, since long series run to a thousand.
+// getRows returns { key, cells } with the time in the first cell.
+const ChartDataTable = ({ caption, columns, getRows }) => {
+  const [isOpen, setIsOpen] = useState(false)
+  const rows = isOpen ? getRows() : []
+
+  return (
+    <details className="chart-data" onToggle={event => setIsOpen(event.currentTarget.open)}>
+      <summary>Data table</summary>
+      {isOpen && (
+        // Focusable so the overflow can be scrolled from the keyboard
+        <div className="chart-data-scroll" tabIndex={0} role="region" aria-label={caption}>
+          <table className="chart-data-table">
+            <caption>{caption}</caption>
+            <thead>
+              <tr>
+                {columns.map(column => <th key={column} scope="col">{column}</th>)}
+              </tr>
+            </thead>
+            <tbody>
+              {rows.map(row => (
+                <tr key={row.key}>
+                  {row.cells.map((cell, index) => index === 0
+                    ? <th key={index} scope="row">{cell}</th>
+                    : <td key={index}>{cell}</td>)}
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </details>
+  )
+}
+
+export default ChartDataTable
@@ -0,0 +1,197 @@
+import React, { useMemo, useState, useId } from 'react'
+import { Line } from 'react-chartjs-2'
+import { PARAMETERS, SITE_PARAMETER_CODES } from '../utils/parameters.js'
+import { formatSiteName, formatDate, formatDateTime } from '../utils/format.js'
+import { DEFAULT_PREFERENCES, getDisplayScale } from '../utils/preferences.js'
+import { axisStyle, axisTitle, legendStyle, tooltipStyle, timeScale, withAlpha } from '../utils/chartTheme.js'
+import { decimate } from '../utils/decimate.js'
+import { toChartPoints } from '../utils/gaps.js'
+import { estimateLag } from '../utils/lag.js'
+import { describeTrend } from '../utils/chartSummary.js'
+import ChartDataTable from './ChartDataTable.jsx'
+
+const HOUR_MS = 60 * 60 * 1000
+
+// One parameter for every site on a shared time axis, upstream to downstream
+// as ordered under Manage sites, with cross-correlation lags between
+// neighbouring gauges and optional per-site time shifts to line the series up
+const ComparisonView = ({ sites, preferences = DEFAULT_PREFERENCES, theme }) => {
+  const summaryId = useId()
+  const parameterCodes = SITE_PARAMETER_CODES.filter(code =>
+    sites.filter(site => site.chartSeries[code]?.points.length > 0).length >= 2
+  )
+  const [selectedParameter, setSelectedParameter] = useState(null)
+  const [shifts, setShifts] = useState({})
+  const parameterCode = parameterCodes.includes(selectedParameter) ? selectedParameter : parameterCodes[0]
+  const comparedSites = useMemo(
+    () => (parameterCode ? sites.filter(site => site.chartSeries[parameterCode]?.points.length > 0) : []),
+    [sites, parameterCode]
+  )
+  const isDaily = comparedSites.some(site => site.range.service === 'dv')
+
+  // Lag between each site and the next one downstream
+  const lags = useMemo(() => {
+    if (isDaily) return []
+    return comparedSites.slice(1).map((downstream, index) => ({
+      from: comparedSites[index],
+      to: downstream,
+      result: estimateLag(comparedSites[index].chartSeries[parameterCode].points, downstream.chartSeries[parameterCode].points)
+    }))
+  }, [comparedSites, parameterCode, isDaily])
+
+  if (!parameterCode) return null
+
+  const scale = getDisplayScale(parameterCode, preferences)
+  const parameter = PARAMETERS[parameterCode]
+  const shiftFor = (siteId) => Number(shifts[siteId]) || 0
+
+  const alignByLag = () => {
+    let total = 0
+    const aligned = { [comparedSites[0].siteId]: 0 }
+    lags.forEach(lag => {
+      total += lag.result?.lagHours || 0
+      aligned[lag.to.siteId] = -total
+    })
+    setShifts(aligned)
+  }
+
+  const datasets = comparedSites.map((site, index) => {
+    const shiftMs = shiftFor(site.siteId) * HOUR_MS
+    const color = theme.colors.sites[index % theme.colors.sites.length]
+    const data = toChartPoints(decimate(site.chartSeries[parameterCode].points), scale.convert)
+      .map(point => ({ ...point, x: point.x + shiftMs }))
+    const shiftLabel = shiftMs !== 0 ? ` (shifted ${shiftFor(site.siteId) > 0 ? '+' : ''}${shiftFor(site.siteId)} h)` : ''
+    return {
+      label: `${formatSiteName(site.siteName)}${shiftLabel}`,
+      data,
+      borderColor: color,
+      backgroundColor: withAlpha(color, 0.1),
+      borderWidth: theme.lineWidth,
+      tension: 0.1,
+      spanGaps: false,
+      pointRadius: 0
+    }
+  })
+
+  const summary = comparedSites
+    .map(site => describeTrend(formatSiteName(site.siteName), site.chartSeries[parameterCode].points, parameterCode, preferences))
+    .join('. ')
+
+  // One row per charted time (shifts applied), one column per site
+  const getTableRows = () => {
+    const rows = new Map()
+    datasets.forEach((dataset, index) => {
+      dataset.data.filter(point => !point.isGap).forEach(point => {
+        if (!rows.has(point.x)) rows.set(point.x, Array(datasets.length).fill(''))
+        rows.get(point.x)[index] = point.y.toFixed(scale.decimals)
+      })
+    })
+    return [...rows.entries()]
+      .sort(([a], [b]) => b - a)
+      .map(([time, cells]) => ({
+        key: time,
+        cells: [isDaily ? formatDate(time, preferences) : formatDateTime(time, preferences), ...cells]
+      }))
+  }
+
+  return (
+    <div className="site-card comparison-view">
+      <div className="chart-header">
+        <h2>Upstream to Downstream</h2>
+        <div className="parameter-selector" role="tablist">
+          {parameterCodes.map(code => (
+            <button
+              key={code}
+              role="tab"
+              aria-selected={code === parameterCode}
+              className={`parameter-tab ${code === parameterCode ? 'active' : ''}`}
+              onClick={() => setSelectedParameter(code)}
+            >
+              {PARAMETERS[code].shortLabel}
+            </button>
+          ))}
+        </div>
+      </div>
+
+      <div className="chart-container">
+        <p id={summaryId} className="chart-summary">{summary}.</p>
+        <div className="chart-canvas">
+          <Line data={{ datasets }}
+          role="img"
+          aria-label={`${parameter.label} at every site chart`}
+          aria-describedby={summaryId}
+          options={{
+            responsive: true,
+            maintainAspectRatio: false,
+            parsing: false,
+            interaction: {
+              mode: 'nearest',
+              axis: 'x',
+              intersect: false
+            },
+            plugins: {
+              legend: legendStyle(theme),
+              tooltip: tooltipStyle(theme)
+            },
+            scales: {
+              y: {
+                type: 'linear',
+                title: axisTitle(`${parameter.label} (${scale.unit})`, theme),
+                ...axisStyle(theme)
+              },
+              x: timeScale(preferences, theme, { isDaily, title: comparedSites[0].range.label })
+            }
+          }} />
+        </div>
+        <ChartDataTable
+          caption={`${parameter.label} (${scale.unit}) by site, ${comparedSites[0].range.label}, newest first`}
+          columns={['Time', ...datasets.map(dataset => dataset.label)]}
+          getRows={getTableRows}
+        />
+      </div>
+
+      <table className="comparison-table">
+        <thead>
+          <tr>
+            <th>Site (upstream first)</th>
+            <th>Lag from site above</th>
+            <th>Time shift (h)</th>
+          </tr>
+        </thead>
+        <tbody>
+          {comparedSites.map((site, index) => {
+            const lag = lags[index - 1]
+            return (
+              <tr key={site.siteId}>
+                <td>{formatSiteName(site.siteName)}</td>
+                <td>
+                  {index === 0 ? '-'
+                    : isDaily ? 'Needs a range of 31 days or less'
+                    : lag?.result ? `${lag.result.lagHours.toFixed(2)} h (r = ${lag.result.correlation.toFixed(2)})`
+                    : 'Not enough overlapping data'}
+                </td>
+                <td>
+                  <input
+                    type="number"
+                    step="0.25"
+                    value={shifts[site.siteId] ?? 0}
+                    onChange={event => setShifts(prev => ({ ...prev, [site.siteId]: event.target.value }))}
+                    aria-label={`Time shift for ${formatSiteName(site.siteName)} in hours`}
+                  />
+                </td>
+              </tr>
+            )
+          })}
+        </tbody>
+      </table>
+      <div className="settings-form">
+        <button className="retry-button" onClick={alignByLag} disabled={lags.every(lag => !lag.result)}>
+          Align by estimated lag
+        </button>
+        <button className="link-button" onClick={() => setShifts({})}>Reset shifts</button>
+      </div>
+    </div>
+  )
+}
+
+export default ComparisonView
@@ -0,0 +1,38 @@
+import React, { useState, useEffect } from 'react'
+
+// Shown in fixtures mode so demo data is never mistaken for live readings.
+// The scenario list is loaded with the fixtures, so live builds don't bundle it
+const DataSourceBanner = ({ dataSource }) => {
+  const [scenarios, setScenarios] = useState({})
+
+  useEffect(() => {
+    if (dataSource.mode !== 'fixtures') return
+    import('../api/fixtures/scenarios.json').then(module => setScenarios(module.default))
+  }, [dataSource.mode])
+
+  if (dataSource.mode !== 'fixtures') return null
+
+  const changeScenario = (scenario) => {
+    const url = new URL(window.location.href)
+    url.searchParams.set('source', 'fixtures')
+    url.searchParams.set('scenario', scenario)
+    window.location.assign(url)
+  }
+
+  return (
+    <div className="data-source-banner" role="status">
+      <strong>Demo data</strong>
+      <span>Readings come from built-in fixtures, not USGS or NWS.</span>
+      <label>
+        Scenario:
+        <select value={scenarios[dataSource.scenario] ? dataSource.scenario : 'normal'} onChange={event => changeScenario(event.target.value)}>
+          {Object.entries(scenarios).map(([scenarioId, scenario]) => (
+            <option key={scenarioId} value={scenarioId}>{scenario.label}</option>
+          ))}
+        </select>
+      </label>
+    </div>
+  )
+}
+
+export default DataSourceBanner
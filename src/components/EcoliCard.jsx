@@ -0,0 +1,64 @@
+import React from 'react'
+import FreshnessBadge from './FreshnessBadge.jsx'
+import SiteChart from './SiteChart.jsx'
+import { PARAMETER_CODES } from '../api/usgs.js'
+import { FRESHNESS_THRESHOLDS } from '../utils/freshness.js'
+import { formatSiteName, formatDateTime, formatDate } from '../utils/format.js'
+
+const EcoliCard = ({ ecoliInfo, thresholdLines, updatedAt, cachedAt, now, preferences, theme, detailHref }) => {
+  const { chartSeries } = ecoliInfo
+
+  return (
+    <div className={`ecoli-card ${ecoliInfo.risk.className} ${ecoliInfo.isEstimate ? 'estimated' : ''}`}>
+      <h3>{detailHref ? <a href={detailHref}>{formatSiteName(ecoliInfo.siteName)}</a> : formatSiteName(ecoliInfo.siteName)}</h3>
+      {ecoliInfo.isEstimate && (
+        <p className="estimate-label">Modelled estimate - not a lab measurement</p>
+      )}
+      <p className="ecoli-value">
+        {ecoliInfo.isEstimate && '≈ '}{ecoliInfo.value} CFU/100mL
+      </p>
+      <p className="risk-level">
+        <span className="risk-symbol" aria-hidden="true">{ecoliInfo.risk.symbol}</span>
+        {ecoliInfo.riskLevel}{ecoliInfo.isEstimate && ' (estimated)'}
+      </p>
+      <p className={`ecoli-trend ${ecoliInfo.trend.direction}`} title="Change since the previous value">
+        {ecoliInfo.trend.symbol} {ecoliInfo.trend.label}
+      </p>
+      <p className="timestamp">{formatDateTime(ecoliInfo.dateTime, preferences)}</p>
+      {ecoliInfo.isEstimate && (
+        <p className="estimate-detail">
+          From turbidity of {ecoliInfo.turbidity} FNU using {ecoliInfo.model.source === 'fitted'
+            ? `a regression fitted to ${ecoliInfo.model.sampleCount} lab samples (R² ${ecoliInfo.model.rSquared.toFixed(2)})`
+            : 'the site regression'}.
+          {ecoliInfo.measured
+            ? ` Last lab sample: ${ecoliInfo.measured.value} CFU/100mL on ${formatDate(ecoliInfo.measured.dateTime, preferences)}.`
+            : ' No recent lab sample.'}
+        </p>
+      )}
+      <FreshnessBadge
+        dateTime={ecoliInfo.dateTime}
+        updatedAt={updatedAt}
+        cachedAt={cachedAt}
+        now={now}
+        preferences={preferences}
+        thresholds={ecoliInfo.isEstimate ? FRESHNESS_THRESHOLDS.water : FRESHNESS_THRESHOLDS.ecoli}
+      />
+      {chartSeries.points.length > 1 && (
+        <div className="chart-container ecoli-chart">
+          <SiteChart
+            values={chartSeries.points}
+            parameterCode={PARAMETER_CODES.ECOLI}
+            title={formatSiteName(ecoliInfo.siteName)}
+            qualifierDescriptions={chartSeries.qualifiers}
+            rangeLabel={chartSeries.isEstimate ? 'Modelled from turbidity, last 24 hours' : 'Last 30 Days'}
+            thresholds={thresholdLines}
+            preferences={preferences}
+            theme={theme}
+          />
+        </div>
+      )}
+    </div>
+  )
+}
+
+export default EcoliCard
@@ -0,0 +1,33 @@
+import React from 'react'
+import EcoliCard from './EcoliCard.jsx'
+
+// One E.coli site on its own page; samples always cover the last 30 days
+const EcoliDetailPage = ({ siteId, ecoliInfo, ecoli, thresholdLines, backHref, now, preferences, theme, onRetry }) => (
+  <div className="detail-page">
+    <nav className="detail-nav">
+      <a href={backHref}>← All sites</a>
+    </nav>
+    {ecoliInfo ? (
+      <div className="ecoli-grid">
+        <EcoliCard
+          ecoliInfo={ecoliInfo}
+          thresholdLines={thresholdLines}
+          updatedAt={ecoli.updatedAt}
+          cachedAt={ecoli.cachedAt}
+          now={now}
+          preferences={preferences}
+          theme={theme}
+        />
+      </div>
+    ) : ecoli.loading ? (
+      <div className="loading-spinner">Loading E.coli data...</div>
+    ) : (
+      <div className="error-message">
+        <div className="error-text">{ecoli.error || `No recent E.coli samples reported for USGS ${siteId}`}</div>
+        <button onClick={onRetry} className="retry-button">Retry</button>
+      </div>
+    )}
+  </div>
+)
+
+export default EcoliDetailPage
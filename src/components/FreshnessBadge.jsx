@@ -0,0 +1,28 @@
+import React from 'react'
+import { formatDateTime } from '../utils/format.js'
+import { getDataAge, getFreshness, formatAge, FRESHNESS_THRESHOLDS } from '../utils/freshness.js'
+
+const FRESHNESS_LABELS = {
+  fresh: 'Current',
+  stale: 'Delayed',
+  'very-stale': 'Stale',
+  unknown: 'No data'
+}
+
+const FreshnessBadge = ({ dateTime, updatedAt, cachedAt, now, thresholds = FRESHNESS_THRESHOLDS.water, preferences }) => {
+  const age = getDataAge(dateTime, now)
+  const freshness = getFreshness(age, thresholds)
+
+  return (
+    <div className={`freshness-badge ${freshness}${cachedAt ? ' cached' : ''}`} title={dateTime ? `Newest reading: ${formatDateTime(dateTime, preferences)}` : undefined}>
+      <span className="freshness-status">{cachedAt ? 'Saved copy' : FRESHNESS_LABELS[freshness]}</span>
+      <span className="freshness-detail">
+        Reading {formatAge(age)}
+        {updatedAt && ` · Updated ${formatAge(getDataAge(updatedAt, now))}`}
+        {cachedAt && ` · Saved ${formatAge(getDataAge(cachedAt, now))}`}
+      </span>
+    </div>
+  )
+}
+
+export default FreshnessBadge
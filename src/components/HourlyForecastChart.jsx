@@ -0,0 +1,126 @@
+import React, { useMemo, useId } from 'react'
+import { Line } from 'react-chartjs-2'
+import { toPreferredTemperature, formatDateTime } from '../utils/format.js'
+import { axisStyle, axisTitle, legendStyle, tooltipStyle, timeScale, withAlpha } from '../utils/chartTheme.js'
+import ChartDataTable from './ChartDataTable.jsx'
+
+const HOURS_SHOWN = 48
+
+// Next 48 hours of NWS hourly temperature and chance of rain
+const HourlyForecastChart = ({ periods: allPeriods, preferences, theme }) => {
+  const summaryId = useId()
+  const periods = useMemo(() => allPeriods.slice(0, HOURS_SHOWN), [allPeriods])
+  const { temperatures, precipitation } = useMemo(() => ({
+    temperatures: periods.map(period => ({
+      x: new Date(period.startTime).getTime(),
+      y: toPreferredTemperature(period.temperature, period.temperatureUnit, preferences),
+      shortForecast: period.shortForecast
+    })),
+    precipitation: periods.map(period => ({
+      x: new Date(period.startTime).getTime(),
+      y: period.probabilityOfPrecipitation?.value ?? 0
+    }))
+  }), [periods, preferences])
+
+  const unit = `°${preferences.temperatureUnit}`
+  const temperatureColor = theme.colors.series.airTemperature
+  const precipitationColor = theme.colors.accent
+  const datasets = [
+    {
+      label: `Temperature (${unit})`,
+      data: temperatures,
+      borderColor: temperatureColor,
+      backgroundColor: withAlpha(temperatureColor, 0.1),
+      borderWidth: theme.lineWidth,
+      tension: 0.3,
+      pointRadius: 0,
+      yAxisID: 'y'
+    },
+    {
+      label: 'Chance of rain (%)',
+      data: precipitation,
+      borderColor: precipitationColor,
+      backgroundColor: withAlpha(precipitationColor, 0.1),
+      borderWidth: theme.lineWidth,
+      borderDash: [4, 4],
+      tension: 0.3,
+      pointRadius: 0,
+      yAxisID: 'y1'
+    }
+  ]
+
+  const temperatureValues = temperatures.map(point => point.y)
+  const maxRainChance = Math.max(0, ...precipitation.map(point => point.y))
+  const summary = temperatures.length > 0
+    ? `Next ${periods.length} hours: ${Math.round(Math.min(...temperatureValues))} to ${Math.round(Math.max(...temperatureValues))}${unit}, `
+      + (maxRainChance > 0 ? `rain chance up to ${maxRainChance}%` : 'no rain expected')
+    : 'No hourly forecast available'
+
+  return (
+    <>
+      <p id={summaryId} className="chart-summary">{summary}.</p>
+      <div className="chart-canvas">
+        <Line data={{ datasets }}
+        role="img"
+        aria-label="Hourly temperature and chance of rain chart"
+        aria-describedby={summaryId}
+        options={{
+          responsive: true,
+          maintainAspectRatio: false,
+          parsing: false,
+          interaction: {
+            mode: 'index',
+            intersect: false
+          },
+          plugins: {
+            legend: legendStyle(theme),
+            tooltip: {
+              ...tooltipStyle(theme),
+              callbacks: {
+                label: item => item.datasetIndex === 0
+                  ? `${item.raw.y.toFixed(0)}°${preferences.temperatureUnit} ${item.raw.shortForecast}`
+                  : `${item.raw.y}% chance of rain`
+              }
+            }
+          },
+          scales: {
+            y: {
+              type: 'linear',
+              position: 'left',
+              title: axisTitle(`Temperature (${unit})`, theme),
+              ...axisStyle(theme)
+            },
+            y1: {
+              type: 'linear',
+              position: 'right',
+              min: 0,
+              max: 100,
+              title: axisTitle('Chance of rain (%)', theme),
+              ticks: axisStyle(theme).ticks,
+              grid: {
+                drawOnChartArea: false,
+                color: axisStyle(theme).grid.color
+              }
+            },
+            x: timeScale(preferences, theme)
+          }
+        }} />
+      </div>
+      <ChartDataTable
+        caption="NWS hourly forecast"
+        columns={['Time', `Temperature (${unit})`, 'Chance of rain (%)', 'Forecast']}
+        getRows={() => periods.map((period, index) => ({
+          key: period.startTime,
+          cells: [
+            formatDateTime(period.startTime, preferences),
+            temperatures[index].y.toFixed(0),
+            precipitation[index].y,
+            period.shortForecast
+          ]
+        }))}
+      />
+    </>
+  )
+}
+
+export default HourlyForecastChart
@@ -0,0 +1,33 @@
+import React from 'react'
+import { PREFERENCE_OPTIONS } from '../utils/preferences.js'
+
+const FIELDS = [
+  { key: 'temperatureUnit', label: 'Temperature' },
+  { key: 'unitSystem', label: 'Flow & stage' },
+  { key: 'timeZone', label: 'Times shown in' },
+  { key: 'hourCycle', label: 'Clock' },
+  { key: 'theme', label: 'Theme' }
+]
+
+const PreferencesPanel = ({ preferences, onChange }) => (
+  <details className="settings-panel preferences-panel">
+    <summary>Units, time &amp; theme</summary>
+    <div className="settings-grid">
+      {FIELDS.map(field => (
+        <label key={field.key} className="settings-form">
+          <span>{field.label}</span>
+          <select
+            value={preferences[field.key]}
+            onChange={event => onChange({ ...preferences, [field.key]: event.target.value })}
+          >
+            {Object.entries(PREFERENCE_OPTIONS[field.key]).map(([value, label]) => (
+              <option key={value} value={value}>{label}</option>
+            ))}
+          </select>
+        </label>
+      ))}
+    </div>
+  </details>
+)
+
+export default PreferencesPanel
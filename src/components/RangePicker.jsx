@@ -0,0 +1,68 @@
+import React, { useEffect, useState } from 'react'
+import { RANGE_PRESETS, defaultCustomRange, isValidCustomRange } from '../utils/timeRange.js'
+
+const RangePicker = ({ range, onChange }) => {
+  // Custom dates are edited here and only applied once they make a valid range
+  const [draft, setDraft] = useState({ start: range.start, end: range.end })
+  useEffect(() => setDraft({ start: range.start, end: range.end }), [range.start, range.end])
+
+  const isValid = isValidCustomRange(draft)
+  const isChanged = draft.start !== range.start || draft.end !== range.end
+
+  const selectPreset = (preset) => {
+    if (preset === 'custom') {
+      onChange(range.preset === 'custom' ? range : defaultCustomRange())
+    } else {
+      onChange({ preset })
+    }
+  }
+
+  const applyDates = (event) => {
+    event.preventDefault()
+    if (isValid) onChange({ preset: 'custom', start: draft.start, end: draft.end })
+  }
+
+  return (
+    <div className="range-picker">
+      <span className="range-picker-label">Chart range:</span>
+      <div className="parameter-selector" role="tablist">
+        {RANGE_PRESETS.map(preset => (
+          <button
+            key={preset.id}
+            role="tab"
+            aria-selected={range.preset === preset.id}
+            className={`parameter-tab ${range.preset === preset.id ? 'active' : ''}`}
+            onClick={() => selectPreset(preset.id)}
+          >
+            {preset.shortLabel}
+          </button>
+        ))}
+      </div>
+      {range.preset === 'custom' && (
+        <form className="range-picker-dates" onSubmit={applyDates}>
+          <input
+            type="date"
+            aria-label="Start date"
+            value={draft.start || ''}
+            max={draft.end}
+            aria-invalid={!isValid}
+            onChange={event => setDraft({ ...draft, start: event.target.value })}
+          />
+          <span>to</span>
+          <input
+            type="date"
+            aria-label="End date"
+            value={draft.end || ''}
+            min={draft.start}
+            aria-invalid={!isValid}
+            onChange={event => setDraft({ ...draft, end: event.target.value })}
+          />
+          <button type="submit" className="retry-button" disabled={!isValid || !isChanged}>Apply</button>
+          {!isValid && <small role="alert">Choose both dates, the start on or before the end</small>}
+        </form>
+      )}
+    </div>
+  )
+}
+
+export default RangePicker
@@ -0,0 +1,58 @@
+import React from 'react'
+import { PARAMETER_CODES } from '../api/usgs.js'
+import { formatParameterValue, formatRainfall } from '../utils/format.js'
+
+const LEVEL_LABELS = {
+  good: 'Good',
+  caution: 'Caution',
+  avoid: 'Avoid'
+}
+
+const describeReason = (reason, preferences) => {
+  switch (reason.kind) {
+    case 'rain':
+      return `${formatRainfall(reason.value, preferences)} of rain forecast`
+    case 'prior-rain':
+      return `${formatRainfall(reason.value, preferences)} of rain the day before`
+    case 'recent-rain':
+      return `${formatRainfall(reason.value, preferences)} of rain in the last 3 days`
+    case 'flow':
+      return `High flow (${formatParameterValue(reason.value, PARAMETER_CODES.DISCHARGE, preferences)})`
+    case 'ecoli':
+      return `E.coli ${reason.value.replace('-', ' ')} risk`
+    default:
+      return ''
+  }
+}
+
+// Day-by-day river use outlook from forecast rain, recent rain, flow and E.coli
+const RiverOutlook = ({ outlook, preferences }) => {
+  if (outlook.length === 0) return null
+
+  return (
+    <div className="river-outlook">
+      <h3>River Use Outlook</h3>
+      <div className="outlook-grid">
+        {outlook.map(day => (
+          <div key={day.date} className={`outlook-card ${day.level}`}>
+            <h4>{day.label}</h4>
+            <p className="outlook-level">{LEVEL_LABELS[day.level]}</p>
+            <p className="forecast-desc">Rain: {formatRainfall(day.rainInches, preferences)}</p>
+            {day.reasons.length > 0 && (
+              <ul className="outlook-reasons">
+                {day.reasons.map(reason => (
+                  <li key={reason.kind}>{describeReason(reason, preferences)}</li>
+                ))}
+              </ul>
+            )}
+          </div>
+        ))}
+      </div>
+      <p className="info-message outlook-note">
+        Guidance only, from NWS rainfall forecasts, recent rain, current flow and E.coli. Bacteria levels typically rise for a day or two after heavy rain.
+      </p>
+    </div>
+  )
+}
+
+export default RiverOutlook
@@ -0,0 +1,140 @@
+import React, { useState } from 'react'
+import FreshnessBadge from './FreshnessBadge.jsx'
+import SiteChart from './SiteChart.jsx'
+import StatisticsPanel from './StatisticsPanel.jsx'
+import { PARAMETERS } from '../utils/parameters.js'
+import { formatSiteName, formatTemperature, formatParameterValue, formatDateTime } from '../utils/format.js'
+import { PARAMETER_CODES } from '../api/usgs.js'
+import { siteRows, siteJson, toCsv, downloadFile, exportFilename } from '../utils/export.js'
+
+const SiteCard = ({
+  site,
+  now,
+  preferences,
+  theme,
+  releaseWindows,
+  waterForecast,
+  statThresholds,
+  selectedParameter,
+  detailHref,
+  onStatThresholdChange,
+  onParameterChange,
+  onRetry
+}) => {
+  const [showStatistics, setShowStatistics] = useState(false)
+  const parameterCodes = site.availableParameters || []
+  const chartParameterCodes = site.chartParameters || []
+  // Fall back to the first charted parameter if the selection isn't reported (any more)
+  const activeParameter = chartParameterCodes.includes(selectedParameter) ? selectedParameter : chartParameterCodes[0]
+  const activeValues = activeParameter ? site.chartSeries[activeParameter].points : []
+  const forecastEnd = waterForecast?.points[waterForecast.points.length - 1]
+
+  const exportSite = (format) => {
+    const name = exportFilename(`usgs-${site.siteId}`, format)
+    if (format === 'csv') {
+      downloadFile(name, toCsv(siteRows(site)), 'text/csv')
+    } else {
+      downloadFile(name, JSON.stringify(siteJson(site), null, 2), 'application/json')
+    }
+  }
+
+  return (
+    <div id={`site-${site.siteId}`} className="site-card">
+      <h2>{detailHref ? <a href={detailHref}>{formatSiteName(site.siteName)}</a> : formatSiteName(site.siteName)}</h2>
+      {site.latestDateTime && (
+        <FreshnessBadge dateTime={site.latestDateTime} updatedAt={site.updatedAt} cachedAt={site.cachedAt} now={now} preferences={preferences} />
+      )}
+      {chartParameterCodes.length > 0 && (
+        <div className="site-actions">
+          <button className="link-button" onClick={() => exportSite('csv')}>Export CSV</button>
+          <button className="link-button" onClick={() => exportSite('json')}>Export JSON</button>
+        </div>
+      )}
+      {site.error && (
+        <div className="error-message">
+          <div className="error-text">{site.error}</div>
+          <button onClick={() => onRetry(site.siteId)} className="retry-button">Retry</button>
+        </div>
+      )}
+      <p>Latest Water Temperature: {
+        site.latestTemp
+          ? `${formatTemperature(site.latestTemp.celsius, preferences)} (${site.latestTemp.timestamp})`
+          : 'N/A'
+      }</p>
+      {forecastEnd && (
+        <p className="water-forecast">
+          Projected {formatTemperature(forecastEnd.y, preferences)} by {formatDateTime(forecastEnd.x, preferences)}
+          {' '}(likely {formatTemperature(forecastEnd.low, preferences)} to {formatTemperature(forecastEnd.high, preferences)}), from the air temperature forecast
+        </p>
+      )}
+
+      {parameterCodes.length > 1 && (
+        <div className="parameter-readings">
+          {parameterCodes.map(code => (
+            <div key={code} className="parameter-reading">
+              <div className="parameter-label">{PARAMETERS[code].label}</div>
+              <div className="parameter-value">{formatParameterValue(site.latestValues[code]?.value, code, preferences)}</div>
+            </div>
+          ))}
+        </div>
+      )}
+
+      <div className="chart-container">
+        <div className="chart-header">
+          <h3>{activeParameter ? PARAMETERS[activeParameter].label : 'Water Temperature'} Over Time</h3>
+          {chartParameterCodes.length > 1 && (
+            <div className="parameter-selector" role="tablist">
+              {chartParameterCodes.map(code => (
+                <button
+                  key={code}
+                  role="tab"
+                  aria-selected={code === activeParameter}
+                  className={`parameter-tab ${code === activeParameter ? 'active' : ''}`}
+                  onClick={() => onParameterChange(site.siteId, code)}
+                >
+                  {PARAMETERS[code].shortLabel}
+                </button>
+              ))}
+            </div>
+          )}
+        </div>
+        {activeValues.length > 0 ? (
+          <SiteChart
+            values={activeValues}
+            parameterCode={activeParameter}
+            title={formatSiteName(site.siteName)}
+            dailyPeaks={site.dailyPeaks}
+            qualifierDescriptions={site.chartSeries[activeParameter].qualifiers}
+            rangeLabel={site.range.label}
+            isDaily={site.range.service === 'dv'}
+            releaseWindows={releaseWindows}
+            forecast={activeParameter === PARAMETER_CODES.WATER_TEMPERATURE ? waterForecast : null}
+            preferences={preferences}
+            theme={theme}
+          />
+        ) : site.loading ? (
+          <div className="loading-spinner">Loading water data...</div>
+        ) : (
+          <p>No monitoring data available</p>
+        )}
+      </div>
+
+      {activeValues.length > 0 && (
+        <details className="statistics-details" onToggle={event => setShowStatistics(event.currentTarget.open)}>
+          <summary>{PARAMETERS[activeParameter].label} statistics</summary>
+          {showStatistics && (
+            <StatisticsPanel
+              site={site}
+              parameterCode={activeParameter}
+              threshold={statThresholds[activeParameter]}
+              onThresholdChange={value => onStatThresholdChange(activeParameter, value)}
+              preferences={preferences}
+            />
+          )}
+        </details>
+      )}
+    </div>
+  )
+}
+
+export default SiteCard
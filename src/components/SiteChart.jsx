@@ -0,0 +1,254 @@
+import React, { useMemo, useId } from 'react'
+import { Line } from 'react-chartjs-2'
+import { PARAMETERS } from '../utils/parameters.js'
+import { formatTemperature, formatDateKey, formatParameterValue, formatDate, formatDateTime } from '../utils/format.js'
+import { DEFAULT_PREFERENCES, getDisplayScale } from '../utils/preferences.js'
+import { axisStyle, axisTitle, legendStyle, tooltipStyle, timeScale, withAlpha } from '../utils/chartTheme.js'
+import { decimate } from '../utils/decimate.js'
+import { toChartPoints, countGaps } from '../utils/gaps.js'
+import { isProvisional, describeQualifiers } from '../utils/qualifiers.js'
+import { describeTrend, describeExtent } from '../utils/chartSummary.js'
+import ChartDataTable from './ChartDataTable.jsx'
+
+// Shades time spans (scheduled dam releases) behind the data
+const shadedWindowsPlugin = {
+  id: 'shadedWindows',
+  defaults: {
+    windows: [],
+    color: 'rgba(0, 0, 0, 0.1)'
+  },
+  beforeDatasetsDraw: (chart, args, options) => {
+    if (options.windows.length === 0) return
+    const { ctx, chartArea, scales: { x } } = chart
+    ctx.save()
+    ctx.fillStyle = options.color
+    options.windows.forEach(span => {
+      const left = Math.max(x.getPixelForValue(span.start), chartArea.left)
+      const right = Math.min(x.getPixelForValue(span.end), chartArea.right)
+      if (right > left) ctx.fillRect(left, chartArea.top, right - left, chartArea.bottom - chartArea.top)
+    })
+    ctx.restore()
+  }
+}
+
+// Provisional readings (qualifier P) draw dashed; approved ones solid
+const provisionalSegment = (data) => ({
+  borderDash: ctx => isProvisional(data[ctx.p1DataIndex]) ? [6, 4] : undefined
+})
+
+const buildDataset = (label, data, color, yAxisID, theme) => ({
+  label,
+  data,
+  borderColor: color,
+  backgroundColor: withAlpha(color, 0.1),
+  borderWidth: theme.lineWidth,
+  tension: 0.1,
+  spanGaps: false,
+  pointRadius: data.length > 200 ? 0 : 2,
+  segment: provisionalSegment(data),
+  yAxisID
+})
+
+// Line chart for one parameter at one site on a true time axis, in the
+// user's units and time zone. Temperature adds the daily peak tooltip.
+// Long series are decimated before they reach Chart.js. A text summary and
+// a data table stand in for the canvas.
+const SiteChart = ({
+  values: allValues,
+  parameterCode,
+  title,
+  dailyPeaks = {},
+  qualifierDescriptions = {},
+  rangeLabel = 'Last 7 Days',
+  isDaily = false,
+  thresholds = [],
+  releaseWindows = [],
+  forecast = null,
+  preferences = DEFAULT_PREFERENCES,
+  theme
+}) => {
+  const summaryId = useId()
+  const parameter = PARAMETERS[parameterCode]
+  const isTemperature = parameter.isTemperature
+  const scale = getDisplayScale(parameterCode, preferences)
+  const values = useMemo(() => decimate(allValues), [allValues])
+  const chartData = useMemo(() => toChartPoints(values, scale.convert), [values, scale.convert])
+  const gapCount = countGaps(chartData)
+  const hasProvisional = values.some(isProvisional)
+  const firstTime = chartData[0]?.x
+  const lastTime = chartData[chartData.length - 1]?.x
+  const visibleReleases = releaseWindows.filter(span => span.end >= firstTime && span.start <= lastTime)
+
+  const readingsLabel = isDaily ? 'daily means' : 'readings'
+  const countLabel = [
+    values.length < allValues.length
+      ? `${values.length} of ${allValues.length} ${readingsLabel} shown`
+      : `${allValues.length} ${readingsLabel}`,
+    gapCount > 0 && `${gapCount} gap${gapCount === 1 ? '' : 's'}`,
+    hasProvisional && 'dashed = provisional',
+    visibleReleases.length > 0 && 'shaded = scheduled release',
+    forecast && 'forecast dashed with 95% band'
+  ].filter(Boolean).join(', ')
+
+  const axisLabel = `${parameter.label} (${scale.unit})`
+  const color = theme.colors.series[parameter.seriesColor]
+  const datasets = [buildDataset(axisLabel, chartData, color, 'y', theme)]
+
+  // Projection past the last reading, with its uncertainty band filled between two hidden lines
+  if (forecast) {
+    const toDisplay = (key) => forecast.points.map(point => ({ x: point.x, y: scale.convert(point[key]), isForecast: true, range: [point.low, point.high] }))
+    datasets.push(
+      {
+        ...buildDataset(`Forecast (${scale.unit})`, toDisplay('y'), color, 'y', theme),
+        borderDash: [6, 4],
+        segment: undefined,
+        pointRadius: 0
+      },
+      {
+        label: 'Forecast range',
+        data: toDisplay('high'),
+        borderWidth: 0,
+        pointRadius: 0,
+        backgroundColor: withAlpha(color, 0.15),
+        fill: '+1',
+        isReference: true,
+        yAxisID: 'y'
+      },
+      {
+        label: 'Forecast range',
+        data: toDisplay('low'),
+        borderWidth: 0,
+        pointRadius: 0,
+        fill: false,
+        isReference: true,
+        hideInLegend: true,
+        yAxisID: 'y'
+      }
+    )
+  }
+
+  // Horizontal reference lines (e.g. E.coli advisory limits) across the charted period
+  if (chartData.length > 0) {
+    thresholds.forEach(threshold => {
+      datasets.push({
+        label: `${threshold.label} (${threshold.value})`,
+        data: [{ x: firstTime, y: threshold.value }, { x: lastTime, y: threshold.value }],
+        borderColor: withAlpha(theme.colors.warning, 0.8),
+        borderWidth: 1,
+        borderDash: [4, 4],
+        pointRadius: 0,
+        pointHitRadius: 0,
+        isReference: true,
+        yAxisID: 'y'
+      })
+    })
+  }
+
+  const scales = {
+    y: {
+      type: 'linear',
+      display: true,
+      position: 'left',
+      title: axisTitle(axisLabel, theme),
+      ...axisStyle(theme)
+    },
+    x: timeScale(preferences, theme, { isDaily, title: `${rangeLabel} (${countLabel})` })
+  }
+
+  const summary = [
+    describeTrend(title || parameter.label, allValues, parameterCode, preferences),
+    describeExtent(rangeLabel, allValues, parameterCode, preferences)
+  ].filter(Boolean).join('. ')
+
+  // Newest first, projections ahead of the readings
+  const formatTime = (time) => isDaily ? formatDate(time, preferences) : formatDateTime(time, preferences)
+  const formatValue = (value) => Number.isFinite(value) ? scale.convert(value).toFixed(scale.decimals) : 'No data'
+  const getTableRows = () => [
+    ...(forecast?.points || []).map(point => ({
+      key: `forecast-${point.x}`,
+      cells: [formatTime(point.x), formatValue(point.y), `Projected, likely ${formatValue(point.low)} to ${formatValue(point.high)}`]
+    })).reverse(),
+    ...values.map(point => ({
+      key: point.dateTime,
+      cells: [formatTime(point.dateTime), formatValue(point.value), describeQualifiers(point.qualifiers, qualifierDescriptions).join(', ')]
+    })).reverse()
+  ]
+
+  return (
+    <>
+      <p id={summaryId} className="chart-summary">{summary}.</p>
+      <div className="chart-canvas">
+        <Line data={{ datasets }}
+        plugins={[shadedWindowsPlugin]}
+        role="img"
+        aria-label={`${axisLabel} chart`}
+        aria-describedby={summaryId}
+        options={{
+          responsive: true,
+          maintainAspectRatio: false,
+          parsing: false,
+          interaction: {
+            mode: 'nearest',
+            axis: 'x',
+            intersect: false
+          },
+          plugins: {
+            legend: {
+              ...legendStyle(theme),
+              labels: {
+                ...legendStyle(theme).labels,
+                filter: (item, data) => !data.datasets[item.datasetIndex].hideInLegend
+              }
+            },
+            shadedWindows: {
+              windows: visibleReleases,
+              color: withAlpha(theme.colors.accent, 0.15)
+            },
+            tooltip: {
+              ...tooltipStyle(theme),
+              filter: item => !item.dataset.isReference,
+              callbacks: {
+                afterBody: function(tooltipItems) {
+                  if (tooltipItems.length === 0) return []
+                  const point = tooltipItems[0].raw
+                  const lines = []
+
+                  if (point.isForecast) {
+                    const [low, high] = point.range
+                    lines.push('', `Likely ${formatParameterValue(low, parameterCode, preferences)} to ${formatParameterValue(high, parameterCode, preferences)}`)
+                  }
+
+                  if (point.qualifiers?.length > 0) {
+                    lines.push('', `Qualifiers: ${describeQualifiers(point.qualifiers, qualifierDescriptions).join(', ')}`)
+                  }
+
+                  if (isTemperature && !isDaily && !point.isForecast) {
+                    const currentDate = formatDateKey(point.x, preferences)
+
+                    if (dailyPeaks[currentDate]) {
+                      const peak = dailyPeaks[currentDate]
+                      lines.push(
+                        '',
+                        `Daily Peak: ${formatTemperature(peak.tempC, preferences)}`,
+                        `Peak Time: ${peak.time}`
+                      )
+                    }
+                  }
+                  return lines
+                }
+              }
+            }
+          },
+          scales
+        }} />
+      </div>
+      <ChartDataTable
+        caption={`${title ? `${title}, ` : ''}${axisLabel}, ${rangeLabel}${values.length < allValues.length ? ' (as charted)' : ''}, newest first`}
+        columns={['Time', axisLabel, 'Notes']}
+        getRows={getTableRows}
+      />
+    </>
+  )
+}
+
+export default SiteChart
@@ -0,0 +1,43 @@
+import React from 'react'
+import RangePicker from './RangePicker.jsx'
+import SiteCard from './SiteCard.jsx'
+
+// One water site on its own page, reached from the map or a site card title
+const SiteDetailPage = ({
+  site,
+  range,
+  backHref,
+  now,
+  preferences,
+  theme,
+  releaseWindows,
+  waterForecast,
+  statThresholds,
+  selectedParameter,
+  onRangeChange,
+  onStatThresholdChange,
+  onParameterChange,
+  onRetry
+}) => (
+  <div className="detail-page">
+    <nav className="detail-nav">
+      <a href={backHref}>← All sites</a>
+    </nav>
+    <RangePicker range={range} onChange={onRangeChange} />
+    <SiteCard
+      site={site}
+      now={now}
+      preferences={preferences}
+      theme={theme}
+      releaseWindows={releaseWindows}
+      waterForecast={waterForecast}
+      statThresholds={statThresholds}
+      selectedParameter={selectedParameter}
+      onStatThresholdChange={onStatThresholdChange}
+      onParameterChange={onParameterChange}
+      onRetry={onRetry}
+    />
+  </div>
+)
+
+export default SiteDetailPage
@@ -0,0 +1,236 @@
+import React, { useState, useEffect } from 'react'
+import { findSites } from '../api/usgs.js'
+import { isValidSiteId } from '../config/siteConfig.js'
+import { formatSiteName } from '../utils/format.js'
+
+// Half-width in degrees of the "near map center" search box (~15 km)
+const NEARBY_SEARCH_RADIUS = 0.15
+
+// Moves a site one place up or down the list; order matters for river sites, which surge
+// detection and the comparison view read as upstream to downstream
+const moveSite = (siteIds, index, offset) => {
+  const next = [...siteIds]
+  next.splice(index + offset, 0, ...next.splice(index, 1))
+  return next
+}
+
+const SiteIdList = ({ title, hint, siteIds, onChange, isOrdered = false }) => {
+  const [newSiteId, setNewSiteId] = useState('')
+  const trimmed = newSiteId.trim()
+  const canAdd = isValidSiteId(trimmed) && !siteIds.includes(trimmed)
+
+  const addSite = (event) => {
+    event.preventDefault()
+    if (!canAdd) return
+    onChange([...siteIds, trimmed])
+    setNewSiteId('')
+  }
+
+  return (
+    <div className="site-manager-list">
+      <h4>{title}</h4>
+      {hint && <p className="site-manager-hint">{hint}</p>}
+      <ul>
+        {siteIds.map((siteId, index) => (
+          <li key={siteId}>
+            <span>{siteId}</span>
+            <span>
+              {isOrdered && (
+                <>
+                  <button
+                    className="link-button"
+                    onClick={() => onChange(moveSite(siteIds, index, -1))}
+                    disabled={index === 0}
+                    aria-label={`Move ${siteId} upstream`}
+                  >
+                    Up
+                  </button>
+                  <button
+                    className="link-button"
+                    onClick={() => onChange(moveSite(siteIds, index, 1))}
+                    disabled={index === siteIds.length - 1}
+                    aria-label={`Move ${siteId} downstream`}
+                  >
+                    Down
+                  </button>
+                </>
+              )}
+              <button
+                className="link-button"
+                onClick={() => onChange(siteIds.filter(id => id !== siteId))}
+                disabled={siteIds.length === 1}
+              >
+                Remove
+              </button>
+            </span>
+          </li>
+        ))}
+      </ul>
+      <form onSubmit={addSite} className="settings-form">
+        <input
+          value={newSiteId}
+          onChange={event => setNewSiteId(event.target.value)}
+          placeholder="USGS site ID"
+          inputMode="numeric"
+        />
+        <button type="submit" className="retry-button" disabled={!canAdd}>Add</button>
+      </form>
+    </div>
+  )
+}
+
+// Degrees within ±limit, or null; Number('') would otherwise pass as 0
+const parseCoordinate = (value, limit) => {
+  if (value.trim() === '') return null
+  const number = Number(value)
+  return Number.isFinite(number) && Math.abs(number) <= limit ? number : null
+}
+
+const SiteManager = ({ config, onChange, onReset, urlOverrides }) => {
+  const [location, setLocation] = useState({
+    lat: String(config.weatherLocation.lat),
+    lon: String(config.weatherLocation.lon)
+  })
+  const [search, setSearch] = useState({ name: '', stateCd: 'GA', nearby: false })
+  const [results, setResults] = useState({ sites: [], loading: false, error: null })
+
+  // Keep the inputs in step when the location changes elsewhere (e.g. reset)
+  useEffect(() => {
+    setLocation({ lat: String(config.weatherLocation.lat), lon: String(config.weatherLocation.lon) })
+  }, [config.weatherLocation])
+
+  const lat = parseCoordinate(location.lat, 90)
+  const lon = parseCoordinate(location.lon, 180)
+  const isLocationValid = lat !== null && lon !== null
+
+  const saveLocation = (event) => {
+    event.preventDefault()
+    if (!isLocationValid) return
+    onChange({ weatherLocation: { lat, lon }, mapCenter: { lat, lon } })
+  }
+
+  const runSearch = async (event) => {
+    event.preventDefault()
+    setResults({ sites: [], loading: true, error: null })
+    try {
+      const { lat, lon } = config.mapCenter
+      const sites = await findSites(search.nearby
+        ? {
+            name: search.name,
+            bBox: [lon - NEARBY_SEARCH_RADIUS, lat - NEARBY_SEARCH_RADIUS, lon + NEARBY_SEARCH_RADIUS, lat + NEARBY_SEARCH_RADIUS]
+          }
+        : { name: search.name, stateCd: search.stateCd })
+      setResults({ sites: sites.slice(0, 50), loading: false, error: sites.length === 0 ? 'No matching sites' : null })
+    } catch (error) {
+      console.warn('Site search failed:', error.message)
+      setResults({ sites: [], loading: false, error: 'Site search failed. Please try again.' })
+    }
+  }
+
+  return (
+    <details className="settings-panel site-manager">
+      <summary>Manage sites</summary>
+
+      {urlOverrides.length > 0 && (
+        <p className="info-message">
+          This link sets {urlOverrides.join(', ')}; those values override your saved settings.
+        </p>
+      )}
+
+      <div className="settings-grid">
+        <SiteIdList
+          title="River monitoring sites"
+          hint="Listed upstream to downstream. Move added sites into place for surge warnings and the comparison view."
+          siteIds={config.siteIds}
+          onChange={siteIds => onChange({ siteIds })}
+          isOrdered
+        />
+        <SiteIdList
+          title="E.coli (BacteriALERT) sites"
+          siteIds={config.ecoliSiteIds}
+          onChange={ecoliSiteIds => onChange({ ecoliSiteIds })}
+        />
+        <div className="site-manager-list">
+          <h4>Weather &amp; map location</h4>
+          <form onSubmit={saveLocation} className="settings-form">
+            <input
+              value={location.lat}
+              onChange={event => setLocation(prev => ({ ...prev, lat: event.target.value }))}
+              placeholder="Latitude"
+              aria-label="Latitude"
+            />
+            <input
+              value={location.lon}
+              onChange={event => setLocation(prev => ({ ...prev, lon: event.target.value }))}
+              placeholder="Longitude"
+              aria-label="Longitude"
+            />
+            <button type="submit" className="retry-button" disabled={!isLocationValid}>Save</button>
+          </form>
+        </div>
+      </div>
+
+      <div className="site-manager-search">
+        <h4>Find USGS sites</h4>
+        <form onSubmit={runSearch} className="settings-form">
+          <input
+            value={search.name}
+            onChange={event => setSearch(prev => ({ ...prev, name: event.target.value }))}
+            placeholder="Name contains, e.g. Chattahoochee"
+          />
+          {!search.nearby && (
+            <input
+              value={search.stateCd}
+              onChange={event => setSearch(prev => ({ ...prev, stateCd: event.target.value.toUpperCase() }))}
+              placeholder="State"
+              aria-label="State code"
+              maxLength={2}
+              className="state-input"
+            />
+          )}
+          <label>
+            <input
+              type="checkbox"
+              checked={search.nearby}
+              onChange={event => setSearch(prev => ({ ...prev, nearby: event.target.checked }))}
+            />
+            Near map center
+          </label>
+          <button type="submit" className="retry-button" disabled={results.loading}>
+            {results.loading ? 'Searching...' : 'Search'}
+          </button>
+        </form>
+        {results.error && <div className="info-message">{results.error}</div>}
+        {results.sites.length > 0 && (
+          <ul className="site-search-results">
+            {results.sites.map(site => (
+              <li key={site.siteId}>
+                <span>{site.siteId} - {formatSiteName(site.siteName)}</span>
+                <span>
+                  <button
+                    className="link-button"
+                    onClick={() => onChange({ siteIds: [...config.siteIds, site.siteId] })}
+                    disabled={config.siteIds.includes(site.siteId)}
+                  >
+                    Add river site
+                  </button>
+                  <button
+                    className="link-button"
+                    onClick={() => onChange({ ecoliSiteIds: [...config.ecoliSiteIds, site.siteId] })}
+                    disabled={config.ecoliSiteIds.includes(site.siteId)}
+                  >
+                    Add E.coli site
+                  </button>
+                </span>
+              </li>
+            ))}
+          </ul>
+        )}
+      </div>
+
+      <button onClick={onReset} className="link-button">Reset to defaults</button>
+    </details>
+  )
+}
+
+export default SiteManager
@@ -0,0 +1,190 @@
+import React, { useEffect } from 'react'
+import { MapContainer, TileLayer, Marker, Popup, LayersControl, LayerGroup, useMap } from 'react-leaflet'
+import L from 'leaflet'
+import 'leaflet/dist/leaflet.css'
+import markerIcon2x from 'leaflet/dist/images/marker-icon-2x.png'
+import markerIcon from 'leaflet/dist/images/marker-icon.png'
+import markerShadow from 'leaflet/dist/images/marker-shadow.png'
+import Sparkline from './Sparkline.jsx'
+import { PARAMETERS } from '../utils/parameters.js'
+import { PARAMETER_CODES } from '../api/usgs.js'
+import { getEcoliScheme, getRiskSymbol } from '../utils/ecoli.js'
+import { formatSiteName, formatParameterValue, formatTemperature, formatDate } from '../utils/format.js'
+import {
+  TEMPERATURE_BANDS,
+  getTemperatureBand,
+  describeTemperatureBand,
+  trailingPoints,
+  describeEcoliSparkline,
+  getMapPositions
+} from '../utils/mapStatus.js'
+
+// Serve Leaflet's default marker images from the bundle rather than a CDN
+delete L.Icon.Default.prototype._getIconUrl
+L.Icon.Default.mergeOptions({
+  iconRetinaUrl: markerIcon2x,
+  iconUrl: markerIcon,
+  shadowUrl: markerShadow,
+})
+
+// Status markers are coloured by CSS class; one icon per class is enough. The
+// shape goes on an inner span because Leaflet positions the outer div with transform
+const iconCache = new Map()
+const getStatusIcon = (className, symbol = '') => {
+  const key = `${className}:${symbol}`
+  if (!iconCache.has(key)) {
+    iconCache.set(key, L.divIcon({
+      className: 'status-marker-icon',
+      html: `<span class="status-marker ${className}">${symbol && `<span class="marker-symbol">${symbol}</span>`}</span>`,
+      iconSize: [18, 18],
+      iconAnchor: [9, 9],
+      popupAnchor: [0, -10]
+    }))
+  }
+  return iconCache.get(key)
+}
+
+// MapContainer only reads center/zoom on mount, so follow config changes here
+const MapViewUpdater = ({ center, zoom }) => {
+  const map = useMap()
+  useEffect(() => {
+    map.setView([center.lat, center.lon], zoom)
+  }, [map, center, zoom])
+  return null
+}
+
+// Fits the view to every marker once per change in the set of locations, so
+// refreshes don't undo the user's panning
+const FitToSites = ({ positions }) => {
+  const map = useMap()
+  const key = positions.map(position => position.join(',')).join(';')
+  useEffect(() => {
+    if (!key) return
+    const bounds = key.split(';').map(position => position.split(',').map(Number))
+    if (bounds.length === 1) {
+      map.setView(bounds[0], 14)
+    } else {
+      map.fitBounds(bounds, { padding: [30, 30], maxZoom: 15 })
+    }
+  }, [map, key])
+  return null
+}
+
+const MapLegend = ({ ecoliScheme, showEcoli, preferences }) => (
+  <div className="map-legend" aria-label="Map legend">
+    <strong>Water temperature</strong>
+    <ul>
+      {TEMPERATURE_BANDS.map(band => (
+        <li key={band.id}>
+          <span className={`legend-swatch site-marker temp-${band.id}`} />
+          {describeTemperatureBand(band, preferences)}
+        </li>
+      ))}
+      <li>
+        <span className="legend-swatch site-marker temp-none" />
+        No recent reading
+      </li>
+    </ul>
+    {showEcoli && (
+      <>
+        <strong>E.coli risk</strong>
+        <ul>
+          {getEcoliScheme(ecoliScheme).tiers.map(tier => (
+            <li key={tier.level}>
+              <span className={`legend-swatch ecoli-marker ecoli-${tier.level}`}>
+                <span className="marker-symbol" aria-hidden="true">{getRiskSymbol(tier.level)}</span>
+              </span>
+              {tier.label}
+            </li>
+          ))}
+        </ul>
+      </>
+    )}
+  </div>
+)
+
+const SiteMap = ({ sites, ecoli, ecoliScheme, config, fitToSites, preferences, theme, getSiteHref, getEcoliHref }) => {
+  const mappedSites = sites.filter(site => site.location)
+  const mappedEcoli = ecoli.filter(site => site.location)
+
+  return (
+    <div className="map-container">
+      <MapContainer center={[config.mapCenter.lat, config.mapCenter.lon]} zoom={config.mapZoom} style={{ width: '100%' }}>
+        <TileLayer
+          url={theme.tileUrl}
+          attribution='&copy; <a href="https://www.openstreetmap.org/copyright">OpenStreetMap</a> contributors &copy; <a href="https://carto.com/attributions">CARTO</a>'
+        />
+        {fitToSites
+          ? <FitToSites positions={getMapPositions(sites, ecoli)} />
+          : <MapViewUpdater center={config.mapCenter} zoom={config.mapZoom} />}
+        <LayersControl position="topright">
+          <LayersControl.Overlay checked name="Water sites">
+            <LayerGroup>
+              {mappedSites.map(site => {
+                const band = getTemperatureBand(site.latestTemp?.celsius)
+                const temperatures = site.series[PARAMETER_CODES.WATER_TEMPERATURE]?.points || []
+                return (
+                  <Marker
+                    key={site.siteId}
+                    position={[site.location.lat, site.location.lon]}
+                    icon={getStatusIcon(`site-marker temp-${band ? band.id : 'none'}`)}
+                    title={formatSiteName(site.siteName)}
+                  >
+                    <Popup>
+                      <div className="map-popup">
+                        <strong>{formatSiteName(site.siteName)}</strong>
+                        {band && <div><small>{describeTemperatureBand(band, preferences)}</small></div>}
+                        <Sparkline
+                          points={trailingPoints(temperatures, 24)}
+                          label={`Water temperature over the last 24 hours, now ${formatTemperature(site.latestTemp?.celsius, preferences)}`}
+                        />
+                        {site.availableParameters.map(code => (
+                          <div key={code}>
+                            <small>{PARAMETERS[code].label}: {formatParameterValue(site.latestValues[code].value, code, preferences)}</small>
+                          </div>
+                        ))}
+                        <a href={getSiteHref(site.siteId)}>View site charts</a>
+                      </div>
+                    </Popup>
+                  </Marker>
+                )
+              })}
+            </LayerGroup>
+          </LayersControl.Overlay>
+          <LayersControl.Overlay checked name="E.coli sites">
+            <LayerGroup>
+              {mappedEcoli.map(site => (
+                <Marker
+                  key={`ecoli-${site.siteId}`}
+                  position={[site.location.lat, site.location.lon]}
+                  icon={getStatusIcon(`ecoli-marker ecoli-${site.risk.level}`, site.risk.symbol)}
+                  title={`${formatSiteName(site.siteName)} (E.coli: ${site.riskLevel})`}
+                >
+                  <Popup>
+                    <div className="map-popup">
+                      <strong>{formatSiteName(site.siteName)}</strong>
+                      <div>
+                        <small>
+                          E.coli {site.isEstimate ? 'estimate' : 'sample'}: {Math.round(site.value)} CFU/100mL, {site.riskLevel}
+                        </small>
+                      </div>
+                      <Sparkline
+                        points={site.chartSeries.points}
+                        label={describeEcoliSparkline(site.chartSeries, preferences)}
+                      />
+                      <div><small>{formatDate(site.dateTime, preferences)}</small></div>
+                      <a href={getEcoliHref(site.siteId)}>View E.coli history</a>
+                    </div>
+                  </Popup>
+                </Marker>
+              ))}
+            </LayerGroup>
+          </LayersControl.Overlay>
+        </LayersControl>
+      </MapContainer>
+      <MapLegend ecoliScheme={ecoliScheme} showEcoli={mappedEcoli.length > 0} preferences={preferences} />
+    </div>
+  )
+}
+
+export default SiteMap
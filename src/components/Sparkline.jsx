@@ -0,0 +1,30 @@
+import React from 'react'
+
+// Inline SVG trend line for popups and other tight spaces; draws in currentColor
+const Sparkline = ({ points, width = 140, height = 36, label }) => {
+  const values = points.filter(point => Number.isFinite(point.value))
+  if (values.length < 2) return null
+
+  const times = values.map(point => new Date(point.dateTime).getTime())
+  const minTime = times[0]
+  const timeSpan = times[times.length - 1] - minTime || 1
+  const minValue = Math.min(...values.map(point => point.value))
+  const valueSpan = Math.max(...values.map(point => point.value)) - minValue || 1
+  const pad = 2
+
+  const coordinates = values.map((point, index) => {
+    const x = pad + ((times[index] - minTime) / timeSpan) * (width - pad * 2)
+    const y = height - pad - ((point.value - minValue) / valueSpan) * (height - pad * 2)
+    return `${x.toFixed(1)},${y.toFixed(1)}`
+  })
+  const [lastX, lastY] = coordinates[coordinates.length - 1].split(',')
+
+  return (
+    <svg className="sparkline" width={width} height={height} viewBox={`0 0 ${width} ${height}`} role="img" aria-label={label}>
+      <polyline points={coordinates.join(' ')} fill="none" stroke="currentColor" strokeWidth="1.5" strokeLinejoin="round" />
+      <circle cx={lastX} cy={lastY} r="2.5" fill="currentColor" />
+    </svg>
+  )
+}
+
+export default Sparkline
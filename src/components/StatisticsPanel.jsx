@@ -0,0 +1,89 @@
+import React from 'react'
+import useDailyStatistics from '../hooks/useDailyStatistics.js'
+import { PARAMETERS } from '../utils/parameters.js'
+import { formatDate, formatParameterValue } from '../utils/format.js'
+import { getDisplayScale } from '../utils/preferences.js'
+import { summarizeDays, compareToHistory } from '../utils/statistics.js'
+
+const ordinal = (n) => {
+  const suffix = n % 100 >= 11 && n % 100 <= 13 ? 'th' : { 1: 'st', 2: 'nd', 3: 'rd' }[n % 10] || 'th'
+  return `${n}${suffix}`
+}
+
+// Daily min/max/mean, time over a threshold and how today compares with the
+// historical record for one parameter at one site
+const StatisticsPanel = ({ site, parameterCode, threshold, onThresholdChange, preferences }) => {
+  const { data: statistics, loading, error } = useDailyStatistics(site.siteId)
+  const parameter = PARAMETERS[parameterCode]
+  const scale = getDisplayScale(parameterCode, preferences)
+  const format = (value) => formatParameterValue(value, parameterCode, preferences)
+  const isDaily = site.range.service === 'dv'
+  const days = isDaily ? [] : summarizeDays(site.chartSeries[parameterCode].points, preferences, threshold ?? null)
+  const totalHoursAbove = days.reduce((total, day) => total + (day.hoursAbove || 0), 0)
+  const latest = site.latestValues[parameterCode]
+  const comparison = latest ? compareToHistory(latest, statistics, parameterCode) : null
+
+  return (
+    <div className="statistics-panel">
+      <div className={`history-comparison ${comparison?.band || ''}`}>
+        {comparison ? (
+          <>
+            <strong>{comparison.description}.</strong>{' '}
+            Now {format(latest.value)}, about the {ordinal(Math.round(comparison.percentile))} percentile.
+            {' '}Typical for this date: {format(comparison.stat.percentiles[25])} to {format(comparison.stat.percentiles[75])} (median {format(comparison.stat.percentiles[50])});
+            {' '}record {format(comparison.stat.min)} to {format(comparison.stat.max)}, {comparison.stat.beginYear}-{comparison.stat.endYear}.
+          </>
+        ) : loading ? (
+          'Loading historical statistics...'
+        ) : (
+          error || `No historical statistics for ${parameter.label.toLowerCase()} at this site.`
+        )}
+      </div>
+
+      <label className="settings-form statistics-threshold">
+        <span>Count hours above</span>
+        <input
+          key={scale.unit}
+          type="number"
+          step="any"
+          defaultValue={threshold === undefined ? '' : Number(scale.convert(threshold).toFixed(scale.decimals))}
+          onChange={event => onThresholdChange(event.target.value === '' ? undefined : scale.invert(parseFloat(event.target.value)))}
+          aria-label={`Threshold (${scale.unit})`}
+        />
+        <span>{scale.unit}</span>
+        {threshold !== undefined && !isDaily && <span>: {totalHoursAbove.toFixed(1)} h in this range</span>}
+      </label>
+
+      {isDaily ? (
+        <p className="info-message">Daily minimum and maximum need a range of 31 days or less.</p>
+      ) : (
+        <table className="comparison-table">
+          <thead>
+            <tr>
+              <th>Day</th>
+              <th>Min</th>
+              <th>Max</th>
+              <th>Mean</th>
+              <th>Range</th>
+              {threshold !== undefined && <th>Hours above</th>}
+            </tr>
+          </thead>
+          <tbody>
+            {[...days].reverse().map(day => (
+              <tr key={day.date}>
+                <td>{formatDate(`${day.date}T12:00:00`, { ...preferences, timeZone: 'local' })}</td>
+                <td>{format(day.min)}</td>
+                <td>{format(day.max)}</td>
+                <td>{format(day.mean)}</td>
+                <td>{(scale.convert(day.max) - scale.convert(day.min)).toFixed(scale.decimals)} {scale.unit}</td>
+                {threshold !== undefined && <td>{day.hoursAbove.toFixed(1)}</td>}
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+    </div>
+  )
+}
+
+export default StatisticsPanel
@@ -0,0 +1,51 @@
+import React from 'react'
+import { formatDateTime, formatSiteName, formatTime } from '../utils/format.js'
+
+const formatRate = (surge) => `${surge.rate.toFixed(surge.unit === 'ft/hr' ? 2 : 0)} ${surge.unit}`
+
+// Rising water now, recent surges still passing, surges on their way downstream and scheduled dam releases
+const SurgePanel = ({ surges, releases, preferences }) => {
+  if (surges.length === 0 && releases.length === 0) return null
+
+  return (
+    <div className="alert-banners surge-panel" role="status">
+      {surges.map(surge => (
+        <div key={`${surge.isEcoliSite ? 'ecoli' : 'site'}-${surge.siteId}`} className={`alert-banner surge ${surge.status}`}>
+          <div>
+            <strong>{formatSiteName(surge.siteName)}</strong>
+            {surge.status === 'surging' && (
+              <div className="alert-message">
+                River rising {formatRate(surge)} since {formatTime(surge.since, preferences)} - possible dam release. Get out of the water.
+              </div>
+            )}
+            {surge.status === 'surged' && (
+              <div className="alert-message">
+                River rose sharply at {formatTime(surge.since, preferences)} - possible dam release. Water is still high and fast while the surge passes.
+              </div>
+            )}
+            {surge.status === 'incoming' && (
+              <div className="alert-message">
+                Surge from {formatSiteName(surge.fromSiteName)} expected around {formatTime(surge.arrival, preferences)}
+                {' '}({surge.travelHours.toFixed(1)} h travel time, {surge.isObservedTravelTime ? 'observed' : 'typical'})
+              </div>
+            )}
+          </div>
+        </div>
+      ))}
+      {releases.map(release => (
+        <div key={`${release.dam}-${release.start}`} className="alert-banner surge scheduled">
+          <div>
+            <strong>Scheduled release: {release.dam}</strong>
+            <div className="alert-message">
+              {formatDateTime(release.start, preferences)} to {formatTime(release.end, preferences)}
+              {release.units !== null && `, ${release.units} generating unit${release.units === 1 ? '' : 's'}`}
+              {release.dischargeCfs !== null && `, about ${release.dischargeCfs.toLocaleString()} ft³/s`}
+            </div>
+          </div>
+        </div>
+      ))}
+    </div>
+  )
+}
+
+export default SurgePanel
@@ -0,0 +1,32 @@
+import React from 'react'
+import { formatDateTime } from '../utils/format.js'
+
+const SEVERITY_CLASSES = {
+  Extreme: 'severe',
+  Severe: 'severe',
+  Moderate: 'moderate'
+}
+
+// NWS watches, warnings and advisories in effect at the weather location
+const WeatherAlertBanner = ({ alerts, preferences }) => {
+  if (alerts.length === 0) return null
+
+  return (
+    <div className="alert-banners weather-alerts" role="alert">
+      {alerts.map(alert => (
+        <details key={alert.id} className={`alert-banner weather-alert ${SEVERITY_CLASSES[alert.severity] || 'minor'}`}>
+          <summary>
+            <strong>{alert.event}</strong>
+            {(alert.ends || alert.expires) && ` until ${formatDateTime(alert.ends || alert.expires, preferences)}`}
+            <div className="alert-message">{alert.headline}</div>
+          </summary>
+          <p className="alert-description">{alert.description}</p>
+          {alert.instruction && <p className="alert-description">{alert.instruction}</p>}
+          <p className="alert-message">Issued by {alert.senderName}</p>
+        </details>
+      ))}
+    </div>
+  )
+}
+
+export default WeatherAlertBanner
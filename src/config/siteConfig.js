@@ -0,0 +1,69 @@
+import defaults from './dashboard.json'
+import { readStorage, writeStorage, removeStorage } from '../utils/storage.js'
+
+// Site configuration is layered: dashboard.json < saved "manage sites" edits < URL query.
+//   ?sites=02335450,02335778&ecoli=02335880&lat=34.0&lon=-84.4&zoom=12
+const STORAGE_KEY = 'site-config'
+
+export const DEFAULT_SITE_CONFIG = defaults
+
+const SITE_ID_PATTERN = /^\d{8,15}$/
+
+export const isValidSiteId = (siteId) => SITE_ID_PATTERN.test(siteId)
+
+const parseSiteList = (value) => {
+  if (!value) return null
+  const siteIds = value.split(',').map(id => id.trim()).filter(isValidSiteId)
+  return siteIds.length > 0 ? siteIds : null
+}
+
+const parseNumber = (value) => {
+  if (value === null || value === '') return null
+  const number = Number(value)
+  return Number.isFinite(number) ? number : null
+}
+
+export const getUrlOverrides = (search = window.location.search) => {
+  const params = new URLSearchParams(search)
+  const overrides = {}
+
+  const siteIds = parseSiteList(params.get('sites'))
+  if (siteIds) overrides.siteIds = siteIds
+
+  const ecoliSiteIds = parseSiteList(params.get('ecoli'))
+  if (ecoliSiteIds) overrides.ecoliSiteIds = ecoliSiteIds
+
+  const lat = parseNumber(params.get('lat'))
+  const lon = parseNumber(params.get('lon'))
+  if (lat !== null && lon !== null) {
+    overrides.weatherLocation = { lat, lon }
+    overrides.mapCenter = { lat, lon }
+  }
+
+  const zoom = parseNumber(params.get('zoom'))
+  if (zoom !== null) overrides.mapZoom = zoom
+
+  return overrides
+}
+
+export const getStoredSiteConfig = () => readStorage(STORAGE_KEY, {})
+
+export const loadSiteConfig = () => ({
+  ...DEFAULT_SITE_CONFIG,
+  ...getStoredSiteConfig(),
+  ...getUrlOverrides()
+})
+
+export const saveSiteConfig = (config) => {
+  writeStorage(STORAGE_KEY, {
+    siteIds: config.siteIds,
+    ecoliSiteIds: config.ecoliSiteIds,
+    weatherLocation: config.weatherLocation,
+    mapCenter: config.mapCenter,
+    mapZoom: config.mapZoom
+  })
+}
+
+export const resetSiteConfig = () => {
+  removeStorage(STORAGE_KEY)
+}
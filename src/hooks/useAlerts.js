@@ -0,0 +1,79 @@
+import { useState, useEffect, useCallback, useRef } from 'react'
+import useStoredState from './useStoredState.js'
+import { evaluateRules } from '../utils/alerts.js'
+
+const MAX_HISTORY = 100
+
+const canNotify = () => typeof window !== 'undefined' && 'Notification' in window
+
+const notify = (alert) => {
+  if (!canNotify() || Notification.permission !== 'granted') return
+  try {
+    new Notification(`${alert.ruleName}: ${alert.siteName}`, { body: alert.message, tag: alert.key })
+  } catch (error) {
+    // Some mobile browsers only allow notifications from a service worker
+    console.warn('Unable to show notification:', error.message)
+  }
+}
+
+// Evaluates alert rules whenever site or E.coli data changes. Alerts are
+// edge-triggered: one fires when its condition becomes true and won't fire
+// again until the condition has cleared. Active keys are stored so a reload
+// doesn't re-announce everything that is already true.
+const useAlerts = ({ sites, ecoli, preferences }) => {
+  const [rules, setRules] = useStoredState('alert-rules', [])
+  const [history, setHistory] = useStoredState('alert-history', [])
+  const [activeKeys, setActiveKeys] = useStoredState('alert-active', [])
+  const activeKeysRef = useRef(activeKeys)
+  const [activeAlerts, setActiveAlerts] = useState([])
+  const [dismissedKeys, setDismissedKeys] = useState([])
+  const [permission, setPermission] = useState(() => canNotify() ? Notification.permission : 'unsupported')
+
+  useEffect(() => {
+    const { triggered, evaluatedKeys } = evaluateRules(rules, { sites, ecoli }, preferences)
+    const triggeredKeys = triggered.map(alert => alert.key)
+    const ruleIds = new Set(rules.map(rule => rule.id))
+
+    const previous = activeKeysRef.current
+    const newlyFired = triggered.filter(alert => !previous.includes(alert.key))
+    // Keep keys we couldn't evaluate this time (site still loading), drop deleted rules
+    const nextKeys = [
+      ...previous.filter(key => !evaluatedKeys.includes(key) && ruleIds.has(key.split(':')[0])),
+      ...triggeredKeys
+    ]
+    activeKeysRef.current = nextKeys
+    setActiveKeys(nextKeys)
+
+    if (newlyFired.length > 0) {
+      const firedAt = new Date().toISOString()
+      setHistory(prev => [...newlyFired.map(alert => ({ ...alert, firedAt })), ...prev].slice(0, MAX_HISTORY))
+      newlyFired.forEach(notify)
+    }
+    setActiveAlerts(triggered)
+    setDismissedKeys(prev => prev.filter(key => triggeredKeys.includes(key)))
+  }, [rules, sites, ecoli, preferences, setActiveKeys, setHistory])
+
+  const requestPermission = useCallback(async () => {
+    if (!canNotify()) return
+    setPermission(await Notification.requestPermission())
+  }, [])
+
+  const clearHistory = useCallback(() => setHistory([]), [setHistory])
+
+  const dismissAlert = useCallback((key) => {
+    setDismissedKeys(prev => [...prev, key])
+  }, [])
+
+  return {
+    rules,
+    setRules,
+    history,
+    clearHistory,
+    alerts: activeAlerts.filter(alert => !dismissedKeys.includes(alert.key)),
+    dismissAlert,
+    permission,
+    requestPermission
+  }
+}
+
+export default useAlerts
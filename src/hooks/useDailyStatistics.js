@@ -0,0 +1,42 @@
+import { useState, useEffect } from 'react'
+import { getDailyStatistics } from '../api/usgs.js'
+import { SITE_PARAMETER_CODES } from '../utils/parameters.js'
+
+// Historical statistics only change when USGS approves another year of data,
+// so each site is fetched once per session
+const statisticsCache = new Map()
+
+const loadStatistics = (siteId) => {
+  if (!statisticsCache.has(siteId)) {
+    const request = getDailyStatistics({ sites: [siteId], parameterCodes: SITE_PARAMETER_CODES })
+    statisticsCache.set(siteId, request)
+    request.catch(() => statisticsCache.delete(siteId))
+  }
+  return statisticsCache.get(siteId)
+}
+
+// Day-of-year statistics for a site, loaded only while `enabled`
+const useDailyStatistics = (siteId, enabled = true) => {
+  const [state, setState] = useState({ siteId: null, data: [], loading: false, error: null })
+
+  useEffect(() => {
+    if (!enabled) return
+    let isCurrent = true
+    setState(prev => (prev.siteId === siteId ? prev : { siteId, data: [], loading: true, error: null }))
+    loadStatistics(siteId)
+      .then(data => {
+        if (isCurrent) setState({ siteId, data, loading: false, error: null })
+      })
+      .catch(error => {
+        console.warn(`Statistics unavailable for site ${siteId}:`, error.message)
+        if (isCurrent) setState({ siteId, data: [], loading: false, error: 'Historical statistics unavailable' })
+      })
+    return () => {
+      isCurrent = false
+    }
+  }, [siteId, enabled])
+
+  return state
+}
+
+export default useDailyStatistics
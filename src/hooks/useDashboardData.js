@@ -0,0 +1,246 @@
+import { useState, useEffect, useCallback, useMemo, useRef } from 'react'
+import { fetchSite, fetchEcoli, fetchWeather, completeWeather, EMPTY_WEATHER } from '../api/dashboard.js'
+import { getReleaseSchedule } from '../api/releases.js'
+import usePolling from './usePolling.js'
+import { readCache, writeCache } from '../utils/offlineCache.js'
+import { getDataSource } from '../api/dataSource.js'
+import { loadSnapshot, loadArchive } from '../api/snapshot.js'
+import { expandSnapshotSite } from '../utils/archive.js'
+import { DEFAULT_RANGE } from '../utils/timeRange.js'
+
+// `cachedAt` is set while a section shows a saved copy from an earlier visit
+const initialSection = (data) => ({ data, loading: true, error: null, updatedAt: null, cachedAt: null })
+
+const IS_LIVE = getDataSource().mode === 'live'
+
+// Keeps fixture responses from ever standing in for real data in the offline cache
+const CACHE_PREFIX = IS_LIVE ? '' : `${getDataSource().mode}:`
+
+// Swaps in a saved copy ({ value, savedAt }) unless this visit has already
+// loaded live data or is showing a newer copy
+const fromCache = (section, cached) =>
+  cached && section.updatedAt === null && cached.savedAt > (section.cachedAt ?? 0)
+    ? { data: cached.value, cachedAt: cached.savedAt }
+    : {}
+
+// Archived history and deploy snapshots are real readings; fixtures mode skips them
+const loadLiveArchive = () => (IS_LIVE ? loadArchive() : Promise.resolve(null))
+
+// USGS publishes instantaneous values on a ~15 minute cadence
+export const DEFAULT_REFRESH_INTERVAL = 15 * 60 * 1000
+
+// Loads each dashboard section independently so one failure (or one retry)
+// never throws away what the other sections already have
+const useDashboardData = ({
+  siteIds,
+  ecoliSiteIds,
+  weatherLocation,
+  releaseScheduleUrl = null,
+  range = DEFAULT_RANGE,
+  refreshInterval = DEFAULT_REFRESH_INTERVAL
+}) => {
+  const [siteStates, setSiteStates] = useState(() =>
+    Object.fromEntries(siteIds.map(siteId => [siteId, initialSection(null)]))
+  )
+  const [ecoli, setEcoli] = useState(() => initialSection({}))
+  const [weather, setWeather] = useState(() => initialSection(EMPTY_WEATHER))
+  const [releases, setReleases] = useState(() => ({ ...initialSection([]), loading: Boolean(releaseScheduleUrl) }))
+  const isMounted = useRef(false)
+  const requestIds = useRef({})
+
+  // Returns a check that is only true while this is still the newest request
+  // for the key, so a slow earlier response can't overwrite a newer one
+  const beginRequest = useCallback((key) => {
+    const requestId = (requestIds.current[key] || 0) + 1
+    requestIds.current[key] = requestId
+    return () => isMounted.current && requestIds.current[key] === requestId
+  }, [])
+
+  // `changes` may be a function of the site's current section
+  const updateSite = useCallback((siteId, changes) => {
+    setSiteStates(prev => {
+      const section = { ...initialSection(null), ...prev[siteId] }
+      return { ...prev, [siteId]: { ...section, ...(typeof changes === 'function' ? changes(section) : changes) } }
+    })
+  }, [])
+
+  const refreshSite = useCallback(async (siteId) => {
+    const isCurrent = beginRequest(`site:${siteId}`)
+    const cacheKey = `${CACHE_PREFIX}site:${siteId}:${JSON.stringify(range)}`
+    updateSite(siteId, { loading: true, error: null })
+    try {
+      const site = await fetchSite(siteId, range, { loadArchive: loadLiveArchive })
+      if (!isCurrent()) return
+      if (site) writeCache(cacheKey, site)
+      updateSite(siteId, site
+        ? { data: site, loading: false, updatedAt: Date.now(), cachedAt: null }
+        : { loading: false, error: 'No monitoring data reported' })
+    } catch (error) {
+      console.warn(`Failed to fetch data for site ${siteId}:`, error.message)
+      const cached = await readCache(cacheKey)
+      if (!isCurrent()) return
+      updateSite(siteId, section => ({
+        loading: false,
+        error: 'Unable to load water data for this site',
+        ...fromCache(section, cached)
+      }))
+    }
+  }, [beginRequest, updateSite, range])
+
+  const refreshSites = useCallback(() => Promise.all(siteIds.map(refreshSite)), [siteIds, refreshSite])
+
+  const refreshEcoli = useCallback(async () => {
+    const isCurrent = beginRequest('ecoli')
+    const cacheKey = `${CACHE_PREFIX}ecoli:${ecoliSiteIds.join(',')}`
+    setEcoli(prev => ({ ...prev, loading: true, error: null }))
+    let error = 'E.coli data temporarily unavailable'
+    try {
+      const ecoliData = await fetchEcoli(ecoliSiteIds)
+      if (!isCurrent()) return
+      if (Object.keys(ecoliData).length > 0) {
+        writeCache(cacheKey, ecoliData)
+        setEcoli({ data: ecoliData, loading: false, updatedAt: Date.now(), error: null, cachedAt: null })
+        return
+      }
+    } catch (fetchError) {
+      console.warn('E.coli data unavailable:', fetchError.message)
+      error = 'Unable to load E.coli safety data'
+    }
+    const cached = await readCache(cacheKey)
+    if (!isCurrent()) return
+    setEcoli(prev => ({ ...prev, loading: false, error, ...fromCache(prev, cached) }))
+  }, [beginRequest, ecoliSiteIds])
+
+  const refreshWeather = useCallback(async () => {
+    const isCurrent = beginRequest('weather')
+    const cacheKey = `${CACHE_PREFIX}weather:${weatherLocation.lat},${weatherLocation.lon}`
+    setWeather(prev => ({ ...prev, loading: true, error: null }))
+    let error = 'Weather forecast temporarily unavailable'
+    try {
+      const weatherData = await fetchWeather(weatherLocation)
+      if (!isCurrent()) return
+      const isEmpty = !weatherData.forecast?.length && !weatherData.hourly?.length && !weatherData.observation
+      if (!isEmpty) {
+        writeCache(cacheKey, completeWeather(weatherData))
+        setWeather(prev => {
+          const data = Object.fromEntries(Object.entries(weatherData).map(([key, value]) => [key, value ?? prev.data[key]]))
+          return { data, loading: false, updatedAt: Date.now(), error: null, cachedAt: null }
+        })
+        return
+      }
+    } catch (fetchError) {
+      console.warn('Weather unavailable:', fetchError.message)
+      error = 'Unable to load weather forecast'
+    }
+    const cached = await readCache(cacheKey)
+    if (!isCurrent()) return
+    const savedCopy = cached && { ...cached, value: completeWeather(cached.value) }
+    setWeather(prev => ({ ...prev, loading: false, error, ...fromCache(prev, savedCopy) }))
+  }, [beginRequest, weatherLocation])
+
+  // The release schedule is optional; without a feed the section stays empty
+  const refreshReleases = useCallback(async () => {
+    const isCurrent = beginRequest('releases')
+    if (!releaseScheduleUrl) {
+      setReleases({ ...initialSection([]), loading: false })
+      return
+    }
+    setReleases(prev => ({ ...prev, loading: true, error: null }))
+    try {
+      const schedule = await getReleaseSchedule(releaseScheduleUrl)
+      if (!isCurrent()) return
+      setReleases({ data: schedule, loading: false, updatedAt: Date.now(), error: null })
+    } catch (error) {
+      console.warn('Release schedule unavailable:', error.message)
+      if (!isCurrent()) return
+      setReleases(prev => ({ ...prev, loading: false, error: 'Unable to load the dam release schedule' }))
+    }
+  }, [beginRequest, releaseScheduleUrl])
+
+  const refreshAll = useCallback(() => {
+    refreshSites()
+    refreshWeather()
+    refreshEcoli()
+    refreshReleases()
+  }, [refreshSites, refreshWeather, refreshEcoli, refreshReleases])
+
+  useEffect(() => {
+    isMounted.current = true
+    // Prevent setState on unmounted component
+    return () => {
+      isMounted.current = false
+    }
+  }, [])
+
+  // The deploy-time snapshot gives an instant first render while the live
+  // requests are in flight; it only covers the configured defaults
+  useEffect(() => {
+    if (!IS_LIVE) return
+    loadSnapshot().then(snapshot => {
+      if (!snapshot || !isMounted.current) return
+      const savedCopy = (value) => value && { value, savedAt: Date.parse(snapshot.generatedAt) }
+      if (JSON.stringify(snapshot.range) === JSON.stringify(range)) {
+        setSiteStates(prev => Object.fromEntries(Object.entries(prev).map(([siteId, section]) =>
+          [siteId, { ...section, ...fromCache(section, savedCopy(expandSnapshotSite(snapshot.sites?.[siteId]))) }]
+        )))
+      }
+      // Snapshots from older builds may lack the config fields they were made for
+      if (Array.isArray(snapshot.ecoliSiteIds) && snapshot.ecoliSiteIds.join(',') === ecoliSiteIds.join(',')) {
+        setEcoli(prev => ({ ...prev, ...fromCache(prev, savedCopy(snapshot.ecoli)) }))
+      }
+      if (snapshot.weatherLocation?.lat === weatherLocation.lat && snapshot.weatherLocation?.lon === weatherLocation.lon) {
+        // Older snapshots stored failed feeds as null
+        const weather = snapshot.weather && typeof snapshot.weather === 'object' ? completeWeather(snapshot.weather) : null
+        setWeather(prev => ({ ...prev, ...fromCache(prev, savedCopy(weather)) }))
+      }
+    }).catch(error => {
+      // The live requests carry on regardless
+      console.warn('Snapshot unusable:', error.message)
+    })
+  }, [range, ecoliSiteIds, weatherLocation])
+
+  // Separate effects so changing the range or site list only refetches sites
+  useEffect(() => {
+    refreshSites()
+  }, [refreshSites])
+
+  useEffect(() => {
+    refreshWeather()
+  }, [refreshWeather])
+
+  useEffect(() => {
+    refreshEcoli()
+  }, [refreshEcoli])
+
+  useEffect(() => {
+    refreshReleases()
+  }, [refreshReleases])
+
+  usePolling(refreshAll, refreshInterval)
+
+  // Catch up as soon as a dropped connection comes back
+  useEffect(() => {
+    window.addEventListener('online', refreshAll)
+    return () => window.removeEventListener('online', refreshAll)
+  }, [refreshAll])
+
+  const sites = useMemo(
+    () => siteIds.map(siteId => ({ siteId, ...initialSection(null), ...siteStates[siteId] })),
+    [siteIds, siteStates]
+  )
+
+  return {
+    sites,
+    ecoli,
+    weather,
+    releases,
+    refreshSite,
+    refreshSites,
+    refreshEcoli,
+    refreshWeather,
+    refreshReleases,
+    refreshAll
+  }
+}
+
+export default useDashboardData
@@ -0,0 +1,32 @@
+import { useState, useEffect, useCallback, useMemo } from 'react'
+import { parseHash } from '../utils/routes.js'
+
+// Follows the location hash. navigate() pushes a history entry for page
+// changes; { replace: true } rewrites the current one for view tweaks so the
+// back button isn't filled with every range or unit change
+const useHashRoute = () => {
+  const [hash, setHash] = useState(() => window.location.hash)
+
+  useEffect(() => {
+    const update = () => setHash(window.location.hash)
+    window.addEventListener('hashchange', update)
+    return () => window.removeEventListener('hashchange', update)
+  }, [])
+
+  const navigate = useCallback((nextHash, { replace = false } = {}) => {
+    if (nextHash === window.location.hash) return
+    if (replace) {
+      // replaceState doesn't fire hashchange
+      window.history.replaceState(window.history.state, '', nextHash)
+      setHash(nextHash)
+    } else {
+      window.location.hash = nextHash
+    }
+  }, [])
+
+  const route = useMemo(() => parseHash(hash), [hash])
+
+  return [route, navigate]
+}
+
+export default useHashRoute
@@ -0,0 +1,15 @@
+import { useState, useEffect } from 'react'
+
+// Re-renders on an interval so relative times ("5 min ago") stay current
+const useNow = (intervalMs = 60 * 1000) => {
+  const [now, setNow] = useState(() => Date.now())
+
+  useEffect(() => {
+    const timer = setInterval(() => setNow(Date.now()), intervalMs)
+    return () => clearInterval(timer)
+  }, [intervalMs])
+
+  return now
+}
+
+export default useNow
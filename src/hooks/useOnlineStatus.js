@@ -0,0 +1,21 @@
+import { useState, useEffect } from 'react'
+
+// Tracks navigator.onLine; browsers only know about the local link, so a
+// captive or dead network can still report online
+const useOnlineStatus = () => {
+  const [isOnline, setIsOnline] = useState(() => navigator.onLine)
+
+  useEffect(() => {
+    const update = () => setIsOnline(navigator.onLine)
+    window.addEventListener('online', update)
+    window.addEventListener('offline', update)
+    return () => {
+      window.removeEventListener('online', update)
+      window.removeEventListener('offline', update)
+    }
+  }, [])
+
+  return isOnline
+}
+
+export default useOnlineStatus
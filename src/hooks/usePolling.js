@@ -0,0 +1,46 @@
+import { useEffect, useRef } from 'react'
+
+// Calls `callback` every `intervalMs` while the tab is visible. Hidden tabs
+// stop polling; coming back to the tab refreshes straight away if a poll
+// was missed. An interval of 0 (or less) disables polling.
+const usePolling = (callback, intervalMs) => {
+  const callbackRef = useRef(callback)
+  callbackRef.current = callback
+
+  useEffect(() => {
+    if (!intervalMs || intervalMs <= 0) return undefined
+
+    let timer = null
+    let lastRun = Date.now()
+
+    const run = () => {
+      lastRun = Date.now()
+      callbackRef.current()
+    }
+
+    const start = () => {
+      clearInterval(timer)
+      timer = setInterval(run, intervalMs)
+    }
+
+    const handleVisibilityChange = () => {
+      if (document.hidden) {
+        clearInterval(timer)
+        timer = null
+        return
+      }
+      if (Date.now() - lastRun >= intervalMs) run()
+      start()
+    }
+
+    if (!document.hidden) start()
+    document.addEventListener('visibilitychange', handleVisibilityChange)
+
+    return () => {
+      clearInterval(timer)
+      document.removeEventListener('visibilitychange', handleVisibilityChange)
+    }
+  }, [intervalMs])
+}
+
+export default usePolling
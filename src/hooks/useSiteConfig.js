@@ -0,0 +1,30 @@
+import { useState, useCallback, useMemo } from 'react'
+import {
+  DEFAULT_SITE_CONFIG,
+  getUrlOverrides,
+  getStoredSiteConfig,
+  loadSiteConfig,
+  saveSiteConfig,
+  resetSiteConfig
+} from '../config/siteConfig.js'
+
+const useSiteConfig = () => {
+  const [config, setConfig] = useState(loadSiteConfig)
+  const urlOverrides = useMemo(() => Object.keys(getUrlOverrides()), [])
+
+  // Only the user's own settings are saved; defaults and ?sites= style
+  // overrides stay out of storage so they don't stick after the link is gone
+  const updateConfig = useCallback((changes) => {
+    saveSiteConfig({ ...getStoredSiteConfig(), ...changes })
+    setConfig(prev => ({ ...prev, ...changes }))
+  }, [])
+
+  const resetConfig = useCallback(() => {
+    resetSiteConfig()
+    setConfig({ ...DEFAULT_SITE_CONFIG, ...getUrlOverrides() })
+  }, [])
+
+  return { config, updateConfig, resetConfig, urlOverrides }
+}
+
+export default useSiteConfig
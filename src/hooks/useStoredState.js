@@ -0,0 +1,15 @@
+import { useState, useEffect } from 'react'
+import { readStorage, writeStorage } from '../utils/storage.js'
+
+// useState that survives reloads via localStorage
+const useStoredState = (key, defaultValue) => {
+  const [value, setValue] = useState(() => readStorage(key, defaultValue))
+
+  useEffect(() => {
+    writeStorage(key, value)
+  }, [key, value])
+
+  return [value, setValue]
+}
+
+export default useStoredState
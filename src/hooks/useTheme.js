@@ -0,0 +1,38 @@
+import { useState, useEffect, useLayoutEffect, useMemo } from 'react'
+import { THEMES, resolveThemeId, readThemeColors } from '../utils/theme.js'
+
+const DARK_QUERY = '(prefers-color-scheme: dark)'
+const CONTRAST_QUERY = '(prefers-contrast: more)'
+
+const readSystem = () => ({
+  prefersDark: Boolean(window.matchMedia?.(DARK_QUERY).matches),
+  prefersMoreContrast: Boolean(window.matchMedia?.(CONTRAST_QUERY).matches)
+})
+
+// Applies the chosen theme to the page and returns it with its colours for
+// Chart.js and Leaflet. 'system' follows the OS setting as it changes.
+const useTheme = (preference) => {
+  const [system, setSystem] = useState(readSystem)
+  const themeId = resolveThemeId(preference, system)
+  const [colors, setColors] = useState(readThemeColors)
+
+  useEffect(() => {
+    if (!window.matchMedia) return
+    const queries = [DARK_QUERY, CONTRAST_QUERY].map(query => window.matchMedia(query))
+    const update = () => setSystem(readSystem())
+    queries.forEach(query => query.addEventListener('change', update))
+    return () => queries.forEach(query => query.removeEventListener('change', update))
+  }, [])
+
+  // Before paint, so charts never draw in the previous theme's colours
+  useLayoutEffect(() => {
+    document.documentElement.dataset.theme = themeId
+    const nextColors = readThemeColors()
+    document.querySelector('meta[name="theme-color"]')?.setAttribute('content', nextColors.background)
+    setColors(nextColors)
+  }, [themeId])
+
+  return useMemo(() => ({ ...THEMES[themeId], colors }), [themeId, colors])
+}
+
+export default useTheme
@@ -0,0 +1,154 @@
+import { PARAMETER_CODES } from '../api/usgs.js'
+import { PARAMETERS } from './parameters.js'
+import { formatSiteName } from './format.js'
+import { DEFAULT_PREFERENCES, getDisplayScale } from './preferences.js'
+
+export const ALL_SITES = 'all'
+
+// E.coli risk levels from least to most severe, across all threshold schemes
+export const RISK_LEVELS = ['low', 'moderate', 'high', 'very-high']
+
+export const CONDITIONS = {
+  above: 'is above',
+  below: 'is below',
+  rises: 'rises by at least'
+}
+
+export const RULE_PRESETS = [
+  {
+    name: 'Trout stress',
+    type: 'site',
+    siteId: ALL_SITES,
+    parameterCode: PARAMETER_CODES.WATER_TEMPERATURE,
+    condition: 'above',
+    threshold: 20
+  },
+  {
+    name: 'E.coli high risk',
+    type: 'ecoli',
+    siteId: ALL_SITES,
+    level: 'high'
+  },
+  {
+    name: 'Dam release (gage rising fast)',
+    type: 'site',
+    siteId: ALL_SITES,
+    parameterCode: PARAMETER_CODES.GAGE_HEIGHT,
+    condition: 'rises',
+    threshold: 1,
+    windowMinutes: 60
+  }
+]
+
+export const createRule = (fields) => ({
+  id: `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 7)}`,
+  enabled: true,
+  windowMinutes: 60,
+  ...fields
+})
+
+/**
+ * Display scale for a site rule's threshold. Thresholds are stored in NWIS
+ * units and shown in the user's; a "rises" threshold is a change, so it
+ * scales without the offset (a 1 °C rise is 1.8 °F, not 33.8 °F).
+ * @param {string} parameterCode
+ * @param {string} condition
+ * @param {Object} preferences
+ * @returns {{unit: string, decimals: number, convert: Function, invert: Function}}
+ */
+export const getThresholdScale = (parameterCode, condition, preferences) => {
+  const scale = getDisplayScale(parameterCode, preferences)
+  if (condition !== 'rises') return scale
+  return {
+    ...scale,
+    convert: value => scale.convert(value) - scale.convert(0),
+    invert: value => scale.invert(value) - scale.invert(0)
+  }
+}
+
+const formatScaled = (value, scale) => `${scale.convert(value).toFixed(scale.decimals)} ${scale.unit}`
+
+export const describeRule = (rule, siteNames = {}, preferences = DEFAULT_PREFERENCES) => {
+  const where = rule.siteId === ALL_SITES ? 'any site' : (siteNames[rule.siteId] || rule.siteId)
+  if (rule.type === 'ecoli') {
+    return `E.coli risk at ${where} reaches ${rule.level.replace('-', ' ')}`
+  }
+  const parameter = PARAMETERS[rule.parameterCode]
+  const threshold = formatScaled(rule.threshold, getThresholdScale(rule.parameterCode, rule.condition, preferences))
+  const timeframe = rule.condition === 'rises' ? ` within ${rule.windowMinutes} min` : ''
+  return `${parameter.label} at ${where} ${CONDITIONS[rule.condition]} ${threshold}${timeframe}`
+}
+
+// Change between the latest reading and the reading closest to `windowMinutes` earlier
+const changeOverWindow = (points, windowMinutes) => {
+  const latest = points[points.length - 1]
+  const cutoff = new Date(latest.dateTime).getTime() - windowMinutes * 60 * 1000
+  const earlier = [...points].reverse().find(point => new Date(point.dateTime).getTime() <= cutoff)
+  return earlier ? latest.value - earlier.value : null
+}
+
+const evaluateSiteRule = (rule, site, preferences) => {
+  const points = site.series?.[rule.parameterCode]?.points
+  if (!points || points.length === 0) return null
+  const latest = points[points.length - 1]
+  const parameter = PARAMETERS[rule.parameterCode]
+  const scale = getThresholdScale(rule.parameterCode, rule.condition, preferences)
+  const format = (value) => formatScaled(value, getDisplayScale(rule.parameterCode, preferences))
+
+  if (rule.condition === 'rises') {
+    const change = changeOverWindow(points, rule.windowMinutes)
+    if (change === null) return null
+    return {
+      triggered: change >= rule.threshold,
+      message: `${parameter.label} rose ${formatScaled(change, scale)} in ${rule.windowMinutes} min (now ${format(latest.value)})`,
+      dateTime: latest.dateTime
+    }
+  }
+
+  const triggered = rule.condition === 'above' ? latest.value > rule.threshold : latest.value < rule.threshold
+  return {
+    triggered,
+    message: `${parameter.label} ${format(latest.value)} ${CONDITIONS[rule.condition]} ${format(rule.threshold)}`,
+    dateTime: latest.dateTime
+  }
+}
+
+const evaluateEcoliRule = (rule, ecoliInfo) => ({
+  triggered: RISK_LEVELS.indexOf(ecoliInfo.risk.level) >= RISK_LEVELS.indexOf(rule.level),
+  message: `E.coli ${ecoliInfo.isEstimate ? 'estimated at ' : ''}${ecoliInfo.value} CFU/100mL - ${ecoliInfo.riskLevel}`,
+  dateTime: ecoliInfo.dateTime
+})
+
+// Evaluates every enabled rule against every matching site. Returns the
+// alerts that are currently true, plus the keys that could be evaluated at
+// all - a site that hasn't loaded is unknown, not "cleared". Thresholds are
+// compared in NWIS units; preferences only shape the messages.
+export const evaluateRules = (rules, { sites, ecoli }, preferences = DEFAULT_PREFERENCES) => {
+  const triggered = []
+  const evaluatedKeys = []
+
+  rules.filter(rule => rule.enabled).forEach(rule => {
+    const targets = rule.type === 'ecoli' ? ecoli : sites
+    targets
+      .filter(target => rule.siteId === ALL_SITES || target.siteId === rule.siteId)
+      .forEach(target => {
+        const result = rule.type === 'ecoli' ? evaluateEcoliRule(rule, target) : evaluateSiteRule(rule, target, preferences)
+        if (!result) return
+        const key = `${rule.id}:${target.siteId}`
+        evaluatedKeys.push(key)
+        if (result.triggered) {
+          triggered.push({
+            key,
+            ruleId: rule.id,
+            ruleName: rule.name,
+            siteId: target.siteId,
+            siteName: formatSiteName(target.siteName),
+            message: result.message,
+            dateTime: result.dateTime
+          })
+        }
+      })
+  })
+
+  return { triggered, evaluatedKeys }
+}
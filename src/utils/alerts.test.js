@@ -0,0 +1,87 @@
+import { describe, it, expect } from 'vitest'
+import { ALL_SITES, describeRule, evaluateRules, getThresholdScale } from './alerts.js'
+
+const METRIC_CELSIUS = { temperatureUnit: 'C', unitSystem: 'metric', timeZone: 'site', hourCycle: '24' }
+const IMPERIAL_FAHRENHEIT = { temperatureUnit: 'F', unitSystem: 'imperial', timeZone: 'site', hourCycle: '12' }
+
+const series = (values, start = '2026-06-01T12:00:00.000Z') => ({
+  points: values.map((value, index) => ({
+    dateTime: new Date(Date.parse(start) + index * 15 * 60 * 1000).toISOString(),
+    value
+  }))
+})
+
+const site = (siteId, seriesByCode) => ({ siteId, siteName: `CHATTAHOOCHEE RIVER SITE ${siteId}`, series: seriesByCode })
+
+const rule = (fields) => ({ id: 'rule', name: 'Rule', enabled: true, type: 'site', siteId: ALL_SITES, windowMinutes: 60, ...fields })
+
+describe('getThresholdScale', () => {
+  it('converts levels with the offset and changes without it', () => {
+    expect(getThresholdScale('00010', 'above', IMPERIAL_FAHRENHEIT).convert(20)).toBeCloseTo(68)
+    expect(getThresholdScale('00010', 'rises', IMPERIAL_FAHRENHEIT).convert(1)).toBeCloseTo(1.8)
+    expect(getThresholdScale('00010', 'rises', IMPERIAL_FAHRENHEIT).invert(1.8)).toBeCloseTo(1)
+  })
+})
+
+describe('describeRule', () => {
+  it('shows the threshold in the preferred units', () => {
+    const trout = rule({ parameterCode: '00010', condition: 'above', threshold: 20 })
+    expect(describeRule(trout, {}, IMPERIAL_FAHRENHEIT)).toBe('Water Temperature at any site is above 68.0 °F')
+    expect(describeRule(trout, {}, METRIC_CELSIUS)).toBe('Water Temperature at any site is above 20.0 °C')
+  })
+
+  it('names the site and the window for rises', () => {
+    const rising = rule({ siteId: '02335450', parameterCode: '00065', condition: 'rises', threshold: 1 })
+    expect(describeRule(rising, { '02335450': 'Roswell' }, METRIC_CELSIUS))
+      .toBe('Gage Height at Roswell rises by at least 0.30 m within 60 min')
+  })
+
+  it('describes E.coli rules by risk level', () => {
+    expect(describeRule({ type: 'ecoli', siteId: ALL_SITES, level: 'very-high' })).toBe('E.coli risk at any site reaches very high')
+  })
+})
+
+describe('evaluateRules', () => {
+  it('fires above and below rules against the latest reading', () => {
+    const sites = [site('1', { '00010': series([18, 21]) }), site('2', { '00010': series([19]) })]
+    const { triggered, evaluatedKeys } = evaluateRules(
+      [rule({ parameterCode: '00010', condition: 'above', threshold: 20 })],
+      { sites, ecoli: [] },
+      METRIC_CELSIUS
+    )
+    expect(evaluatedKeys).toEqual(['rule:1', 'rule:2'])
+    expect(triggered).toHaveLength(1)
+    expect(triggered[0]).toMatchObject({ key: 'rule:1', siteName: 'Chattahoochee R. SITE 1' })
+    expect(triggered[0].message).toBe('Water Temperature 21.0 °C is above 20.0 °C')
+  })
+
+  it('compares a rise over the window in NWIS units', () => {
+    // Five readings span an hour: 2.0 ft to 3.2 ft
+    const sites = [site('1', { '00065': series([2, 2.2, 2.5, 2.9, 3.2]) })]
+    const { triggered } = evaluateRules(
+      [rule({ parameterCode: '00065', condition: 'rises', threshold: 1 })],
+      { sites, ecoli: [] },
+      IMPERIAL_FAHRENHEIT
+    )
+    expect(triggered[0].message).toBe('Gage Height rose 1.20 ft in 60 min (now 3.20 ft)')
+  })
+
+  it('leaves sites without readings unevaluated', () => {
+    const { evaluatedKeys } = evaluateRules(
+      [rule({ parameterCode: '00010', condition: 'above', threshold: 20 })],
+      { sites: [site('1', {})], ecoli: [] }
+    )
+    expect(evaluatedKeys).toEqual([])
+  })
+
+  it('skips disabled rules and matches E.coli risk levels', () => {
+    const ecoli = [{ siteId: '9', siteName: 'SITE 9', value: 500, risk: { level: 'high' }, riskLevel: 'High', isEstimate: false }]
+    const { triggered } = evaluateRules([
+      { id: 'a', name: 'A', enabled: true, type: 'ecoli', siteId: ALL_SITES, level: 'moderate' },
+      { id: 'b', name: 'B', enabled: false, type: 'ecoli', siteId: ALL_SITES, level: 'low' },
+      { id: 'c', name: 'C', enabled: true, type: 'ecoli', siteId: ALL_SITES, level: 'very-high' }
+    ], { sites: [], ecoli })
+    expect(triggered.map(alert => alert.key)).toEqual(['a:9'])
+    expect(triggered[0].message).toBe('E.coli 500 CFU/100mL - High')
+  })
+})
@@ -0,0 +1,128 @@
+// Shapes of the deploy-time data files written by scripts/snapshot.mjs:
+//   data/snapshot.json - the latest section data, for an instant first render
+//   data/archive.json  - daily summaries per site and every E.coli sample,
+//                        appended to on each run so history outlives the APIs
+import { summarizeDays } from './statistics.js'
+import { formatDateKey } from './format.js'
+
+// Bump when a file's shape changes; the dashboard ignores versions it doesn't know
+export const SNAPSHOT_SCHEMA_VERSION = 1
+export const ARCHIVE_SCHEMA_VERSION = 1
+
+// A day is only archived once half of its 15-minute readings are in
+const MIN_READINGS_PER_DAY = 48
+
+const ARCHIVE_QUALIFIER = 'Archive'
+const ARCHIVE_QUALIFIER_DESCRIPTION = 'Daily mean from the dashboard archive'
+
+// Default-range site data charts its own series, so a snapshot stores it once
+export const compactSnapshotSite = (site) =>
+  site && { ...site, chartSeries: site.chartSeries === site.series ? null : site.chartSeries }
+
+export const expandSnapshotSite = (site) =>
+  site && { ...site, chartSeries: site.chartSeries || site.series }
+
+export const emptyArchive = () => ({ schemaVersion: ARCHIVE_SCHEMA_VERSION, updatedAt: null, sites: {}, ecoli: {} })
+
+const mergeBy = (existing, additions, key, canReplace = () => true) => {
+  const merged = new Map(existing.map(item => [item[key], item]))
+  // Newer runs win, so provisional values pick up USGS revisions
+  additions.forEach(item => {
+    const previous = merged.get(item[key])
+    if (!previous || canReplace(previous, item)) merged.set(item[key], item)
+  })
+  return [...merged.values()].sort((a, b) => String(a[key]).localeCompare(String(b[key])))
+}
+
+// A revision may replace an archived day, but a day seen with fewer readings
+// (cut off by the request window, or a gap) never replaces a fuller one
+const hasAsManyReadings = (previous, next) => next.count >= previous.count
+
+/**
+ * Adds a snapshot's completed days and E.coli samples to an archive. Today
+ * is left out until it is over, and so is the first day of the request
+ * window, which only has the readings since the window's start time.
+ * @param {Object|null} previous archive from the last run (ignored if its schema is unknown)
+ * @param {{generatedAt: string, sites: Object, ecoli: Object}} snapshot
+ * @returns {Object} the new archive
+ */
+export const mergeArchive = (previous, { generatedAt, sites, ecoli }) => {
+  const archive = previous?.schemaVersion === ARCHIVE_SCHEMA_VERSION ? structuredClone(previous) : emptyArchive()
+  const today = formatDateKey(generatedAt)
+
+  Object.values(sites).filter(Boolean).forEach(site => {
+    const entry = { parameters: {}, ...archive.sites[site.siteId], siteName: site.siteName, location: site.location }
+    archive.sites[site.siteId] = entry
+
+    const firstDay = site.range?.startDT ? formatDateKey(site.range.startDT) : null
+
+    Object.values(site.chartSeries).forEach(series => {
+      const days = summarizeDays(series.points)
+        .filter(day => day.date < today && (!firstDay || day.date > firstDay) && day.count >= MIN_READINGS_PER_DAY)
+        .map(day => ({
+          date: day.date,
+          min: day.min,
+          max: day.max,
+          mean: Number(day.mean.toFixed(3)),
+          count: day.count
+        }))
+      if (days.length === 0) return
+      const parameter = entry.parameters[series.parameterCode] || { unit: series.unit, days: [] }
+      entry.parameters[series.parameterCode] = { ...parameter, days: mergeBy(parameter.days, days, 'date', hasAsManyReadings) }
+    })
+  })
+
+  Object.values(ecoli).forEach(site => {
+    if (!site.series) return
+    const entry = archive.ecoli[site.siteId] || { samples: [] }
+    const samples = site.series.points.map(point => ({ dateTime: point.dateTime, value: point.value }))
+    archive.ecoli[site.siteId] = {
+      siteName: site.siteName,
+      location: site.location,
+      samples: mergeBy(entry.samples, samples, 'dateTime')
+    }
+  })
+
+  archive.updatedAt = generatedAt
+  return archive
+}
+
+/**
+ * Fills a site's chart series with archived daily means for dates in the
+ * window that the live response doesn't cover, e.g. instantaneous values older
+ * than NWIS keeps or daily values a new gauge doesn't have yet.
+ * @param {Object<string, Object>} chartSeries series by parameter code
+ * @param {Object|undefined} archiveSite the site's entry in archive.json
+ * @param {{startDT: Date, endDT?: Date}} timeWindow
+ */
+export const fillFromArchive = (chartSeries, archiveSite, { startDT, endDT }) => {
+  if (!archiveSite) return chartSeries
+  const start = formatDateKey(startDT)
+  const end = formatDateKey(endDT || new Date())
+  const filled = { ...chartSeries }
+
+  Object.entries(archiveSite.parameters).forEach(([parameterCode, parameter]) => {
+    const live = chartSeries[parameterCode]
+    // NWIS timestamps are in site time, so the date prefix is the site's calendar day
+    const covered = new Set((live?.points || []).map(point => point.dateTime.slice(0, 10)))
+    const archived = parameter.days
+      .filter(day => day.date >= start && day.date <= end && !covered.has(day.date))
+      .map(day => ({ dateTime: `${day.date}T00:00:00.000`, value: day.mean, qualifiers: [ARCHIVE_QUALIFIER] }))
+    if (archived.length === 0) return
+
+    filled[parameterCode] = {
+      siteName: live?.siteName || archiveSite.siteName,
+      location: live?.location || archiveSite.location,
+      parameterCode,
+      parameterName: live?.parameterName || parameterCode,
+      unit: live?.unit || parameter.unit,
+      noDataValue: null,
+      statisticCode: live?.statisticCode ?? null,
+      ...live,
+      qualifiers: { ...live?.qualifiers, [ARCHIVE_QUALIFIER]: ARCHIVE_QUALIFIER_DESCRIPTION },
+      points: [...archived, ...(live?.points || [])]
+        .sort((a, b) => new Date(a.dateTime) - new Date(b.dateTime))
+    }
+  })
+  return filled
+}
@@ -0,0 +1,143 @@
+import { describe, it, expect } from 'vitest'
+import { mergeArchive, fillFromArchive, emptyArchive, ARCHIVE_SCHEMA_VERSION } from './archive.js'
+
+const STEP_MS = 15 * 60 * 1000
+
+// 15-minute readings from `start` (an ISO time) for `count` steps
+const readings = (start, count, value = () => 10) => Array.from({ length: count }, (_, index) => ({
+  dateTime: new Date(Date.parse(start) + index * STEP_MS).toISOString(),
+  value: value(index),
+  qualifiers: ['P']
+}))
+
+const siteSnapshot = (points, generatedAt, startDT = points[0]?.dateTime) => ({
+  generatedAt,
+  sites: {
+    '02335450': {
+      siteId: '02335450',
+      siteName: 'ROSWELL',
+      location: { lat: 34, lon: -84.3 },
+      range: { startDT: new Date(startDT), service: 'iv' },
+      chartSeries: { '00010': { parameterCode: '00010', unit: 'deg C', points } }
+    }
+  },
+  ecoli: {}
+})
+
+// Midnight Eastern (EDT) on the given date
+const easternMidnight = (date) => `${date}T04:00:00.000Z`
+
+describe('mergeArchive', () => {
+  it('archives complete days and leaves out today', () => {
+    const points = [...readings(easternMidnight('2026-06-01'), 96), ...readings(easternMidnight('2026-06-02'), 20)]
+    const archive = mergeArchive(null, siteSnapshot(points, '2026-06-02T09:00:00.000Z', '2026-05-31T12:00:00.000Z'))
+
+    expect(archive.schemaVersion).toBe(ARCHIVE_SCHEMA_VERSION)
+    expect(archive.updatedAt).toBe('2026-06-02T09:00:00.000Z')
+    expect(archive.sites['02335450'].parameters['00010'].days).toEqual([
+      { date: '2026-06-01', min: 10, max: 10, mean: 10, count: 96 }
+    ])
+  })
+
+  it('keeps a complete day when a later window only covers part of it', () => {
+    // First run: 2026-06-01 in full at 10 °C
+    const fullDay = readings(easternMidnight('2026-06-01'), 96)
+    const first = mergeArchive(null, siteSnapshot(fullDay, '2026-06-02T09:00:00.000Z', '2026-05-31T12:00:00.000Z'))
+
+    // A later 7-day window starts at 11:00 on 2026-06-01, leaving 52 warmer
+    // readings, more than enough to pass as a day on their own
+    const partialDay = readings('2026-06-01T15:00:00.000Z', 52, () => 16)
+    const nextDay = readings(easternMidnight('2026-06-02'), 96, () => 12)
+    const second = mergeArchive(first, siteSnapshot([...partialDay, ...nextDay], '2026-06-08T14:00:00.000Z'))
+
+    expect(second.sites['02335450'].parameters['00010'].days).toEqual([
+      { date: '2026-06-01', min: 10, max: 10, mean: 10, count: 96 },
+      { date: '2026-06-02', min: 12, max: 12, mean: 12, count: 96 }
+    ])
+  })
+
+  it('takes revised values for a day but never a day with fewer readings', () => {
+    const run = (count, value, generatedAt) => siteSnapshot(
+      readings(easternMidnight('2026-06-01'), count, () => value),
+      generatedAt,
+      '2026-05-31T12:00:00.000Z'
+    )
+    const first = mergeArchive(null, run(90, 10, '2026-06-02T09:00:00.000Z'))
+    const revised = mergeArchive(first, run(96, 11, '2026-06-02T12:00:00.000Z'))
+    const gappy = mergeArchive(revised, run(60, 14, '2026-06-02T15:00:00.000Z'))
+
+    expect(revised.sites['02335450'].parameters['00010'].days[0]).toMatchObject({ mean: 11, count: 96 })
+    expect(gappy.sites['02335450'].parameters['00010'].days[0]).toMatchObject({ mean: 11, count: 96 })
+  })
+
+  it('skips days with too few readings', () => {
+    const points = readings(easternMidnight('2026-06-01'), 30)
+    const archive = mergeArchive(null, siteSnapshot(points, '2026-06-03T12:00:00.000Z'))
+    expect(archive.sites['02335450'].parameters).toEqual({})
+  })
+
+  it('starts over from an archive with an unknown schema', () => {
+    const previous = { ...emptyArchive(), schemaVersion: 99, sites: { 1: {} } }
+    const archive = mergeArchive(previous, { generatedAt: '2026-06-03T12:00:00.000Z', sites: {}, ecoli: {} })
+    expect(archive.sites).toEqual({})
+  })
+
+  it('merges E.coli samples by time, newer values winning', () => {
+    const ecoliSnapshot = (points) => ({
+      generatedAt: '2026-06-03T12:00:00.000Z',
+      sites: {},
+      ecoli: { '02335880': { siteId: '02335880', siteName: 'POWERS FERRY', location: null, series: { points } } }
+    })
+    const first = mergeArchive(null, ecoliSnapshot([
+      { dateTime: '2026-06-01T10:00:00.000-04:00', value: 120 }
+    ]))
+    const second = mergeArchive(first, ecoliSnapshot([
+      { dateTime: '2026-06-01T10:00:00.000-04:00', value: 130 },
+      { dateTime: '2026-06-03T10:00:00.000-04:00', value: 40 }
+    ]))
+    expect(second.ecoli['02335880'].samples).toEqual([
+      { dateTime: '2026-06-01T10:00:00.000-04:00', value: 130 },
+      { dateTime: '2026-06-03T10:00:00.000-04:00', value: 40 }
+    ])
+  })
+})
+
+describe('fillFromArchive', () => {
+  const archiveSite = {
+    siteName: 'ROSWELL',
+    location: null,
+    parameters: {
+      '00010': {
+        unit: 'deg C',
+        days: [
+          { date: '2026-05-01', min: 9, max: 11, mean: 10, count: 96 },
+          { date: '2026-05-02', min: 10, max: 12, mean: 11, count: 96 },
+          { date: '2026-05-03', min: 11, max: 13, mean: 12, count: 96 }
+        ]
+      }
+    }
+  }
+  const timeWindow = { startDT: new Date('2026-05-02T12:00:00.000Z'), endDT: new Date('2026-05-03T23:00:00.000Z') }
+
+  it('adds archived means for days the live series does not cover', () => {
+    const live = {
+      '00010': {
+        parameterCode: '00010',
+        unit: 'deg C',
+        qualifiers: {},
+        points: [{ dateTime: '2026-05-03T08:00:00.000-04:00', value: 12.5, qualifiers: ['P'] }]
+      }
+    }
+    const filled = fillFromArchive(live, archiveSite, timeWindow)
+    expect(filled['00010'].points.map(point => point.dateTime)).toEqual([
+      '2026-05-02T00:00:00.000',
+      '2026-05-03T08:00:00.000-04:00'
+    ])
+    expect(filled['00010'].points[0]).toMatchObject({ value: 11, qualifiers: ['Archive'] })
+  })
+
+  it('leaves the series alone without an archive entry', () => {
+    const live = { '00010': { points: [] } }
+    expect(fillFromArchive(live, undefined, timeWindow)).toBe(live)
+  })
+})
@@ -0,0 +1,54 @@
+// Plain-language descriptions of chart series, shown above each chart and
+// read out in place of the canvas
+import { PARAMETERS } from './parameters.js'
+import { getDisplayScale } from './preferences.js'
+import { formatParameterValue } from './format.js'
+
+const HOUR_MS = 60 * 60 * 1000
+
+export const formatDuration = (ms) => {
+  const hours = Math.round(ms / HOUR_MS)
+  return hours < 48 ? `${hours} h` : `${Math.round(hours / 24)} days`
+}
+
+const validPoints = (points) => points.filter(point => Number.isFinite(point.value))
+
+/**
+ * Latest value and its change over roughly `hours`, e.g.
+ * "Roswell: 14.2 °C, falling 0.8 °C over 24 h". Sparse series such as lab
+ * samples compare with the last value at least that old and say how old it is.
+ * @param {string} name what the series is of, usually the site
+ * @param {Array<{dateTime: string, value: number}>} points in NWIS units
+ * @param {string} parameterCode
+ * @param {Object} preferences
+ * @param {number} [hours=24]
+ * @returns {string}
+ */
+export const describeTrend = (name, points, parameterCode, preferences, hours = 24) => {
+  const valid = validPoints(points)
+  if (valid.length === 0) return `${name}: no ${PARAMETERS[parameterCode].label.toLowerCase()} readings`
+
+  const latest = valid[valid.length - 1]
+  const latestTime = new Date(latest.dateTime).getTime()
+  const reference = valid.findLast(point => new Date(point.dateTime).getTime() <= latestTime - hours * HOUR_MS)
+  const current = `${name}: ${formatParameterValue(latest.value, parameterCode, preferences)}`
+  if (!reference) return current
+
+  const scale = getDisplayScale(parameterCode, preferences)
+  const change = scale.convert(latest.value) - scale.convert(reference.value)
+  const elapsed = formatDuration(latestTime - new Date(reference.dateTime).getTime())
+  // Anything that would round to zero at the displayed precision is steady
+  if (Math.abs(change) < 0.5 * 10 ** -scale.decimals) return `${current}, steady over ${elapsed}`
+  return `${current}, ${change > 0 ? 'rising' : 'falling'} ${Math.abs(change).toFixed(scale.decimals)} ${scale.unit} over ${elapsed}`
+}
+
+/**
+ * Lowest and highest values in a series, e.g. "Last 7 Days: low 12.1 °C, high 15.3 °C".
+ * @returns {string|null} null when there are no readings
+ */
+export const describeExtent = (label, points, parameterCode, preferences) => {
+  const values = validPoints(points).map(point => point.value)
+  if (values.length === 0) return null
+  const format = (value) => formatParameterValue(value, parameterCode, preferences)
+  return `${label}: low ${format(Math.min(...values))}, high ${format(Math.max(...values))}`
+}
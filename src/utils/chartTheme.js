@@ -0,0 +1,64 @@
+import { resolveTimeZone } from './preferences.js'
+
+// Shared Chart.js styling, coloured from the active theme (see useTheme)
+export const axisStyle = (theme) => ({
+  ticks: {
+    color: theme.colors.mutedText
+  },
+  grid: {
+    color: theme.colors.grid
+  }
+})
+
+export const axisTitle = (text, theme) => ({
+  display: true,
+  text,
+  color: theme.colors.text
+})
+
+export const legendStyle = (theme) => ({
+  labels: {
+    color: theme.colors.text
+  }
+})
+
+export const tooltipStyle = (theme) => ({
+  backgroundColor: theme.colors.surface,
+  titleColor: theme.colors.text,
+  bodyColor: theme.colors.mutedText,
+  borderColor: theme.colors.grid,
+  borderWidth: 1
+})
+
+// Accepts rgb() or the #rrggbb values theme colours come back as
+export const withAlpha = (color, alpha) => {
+  if (color.startsWith('#')) {
+    const [r, g, b] = [1, 3, 5].map(index => parseInt(color.slice(index, index + 2), 16))
+    return `rgba(${r}, ${g}, ${b}, ${alpha})`
+  }
+  return color.replace('rgb(', 'rgba(').replace(')', `, ${alpha})`)
+}
+
+// Time axis in the user's zone and clock. Daily values carry no offset and are
+// parsed as local midnight, so shifting them into another zone would move them
+// to the wrong day.
+export const timeScale = (preferences, theme, { isDaily = false, title } = {}) => {
+  const timeFormat = preferences.hourCycle === '24' ? 'HH:mm' : 'h:mm a'
+  return {
+    type: 'time',
+    adapters: {
+      date: { zone: isDaily ? undefined : resolveTimeZone(preferences) }
+    },
+    time: {
+      tooltipFormat: isDaily ? 'DD' : `DD ${timeFormat}`,
+      displayFormats: {
+        minute: timeFormat,
+        hour: preferences.hourCycle === '24' ? 'HH:mm' : 'ha',
+        day: 'MMM d',
+        month: 'MMM yyyy'
+      }
+    },
+    title: title && axisTitle(title, theme),
+    ...axisStyle(theme)
+  }
+}
@@ -0,0 +1,52 @@
+// Largest-Triangle-Three-Buckets downsampling: keeps the points that best
+// preserve the shape of the line (peaks and troughs survive, flat runs thin
+// out) so Chart.js stays responsive on year-long series.
+export const MAX_CHART_POINTS = 1000
+
+export const decimate = (points, threshold = MAX_CHART_POINTS) => {
+  if (points.length <= threshold || threshold < 3) return points
+
+  const x = (point) => new Date(point.dateTime).getTime()
+  const sampled = [points[0]]
+  const bucketSize = (points.length - 2) / (threshold - 2)
+  let previous = 0
+
+  for (let i = 0; i < threshold - 2; i++) {
+    // Average of the next bucket is the third corner of the triangle
+    const nextStart = Math.floor((i + 1) * bucketSize) + 1
+    const nextEnd = Math.min(Math.floor((i + 2) * bucketSize) + 1, points.length)
+    let avgX = 0
+    let avgY = 0
+    for (let j = nextStart; j < nextEnd; j++) {
+      avgX += x(points[j])
+      avgY += points[j].value
+    }
+    const nextCount = nextEnd - nextStart
+    avgX /= nextCount
+    avgY /= nextCount
+
+    const start = Math.floor(i * bucketSize) + 1
+    const end = Math.floor((i + 1) * bucketSize) + 1
+    const prevX = x(points[previous])
+    const prevY = points[previous].value
+    let maxArea = -1
+    let chosen = start
+
+    for (let j = start; j < end; j++) {
+      const area = Math.abs(
+        (prevX - avgX) * (points[j].value - prevY) -
+        (prevX - x(points[j])) * (avgY - prevY)
+      )
+      if (area > maxArea) {
+        maxArea = area
+        chosen = j
+      }
+    }
+
+    sampled.push(points[chosen])
+    previous = chosen
+  }
+
+  sampled.push(points[points.length - 1])
+  return sampled
+}
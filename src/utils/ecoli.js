@@ -0,0 +1,90 @@
+import thresholdConfig from '../config/ecoliThresholds.json'
+import { getRegressionModel, estimateEcoliSeries } from './ecoliEstimate.js'
+import { getDataAge, getFreshness, FRESHNESS_THRESHOLDS } from './freshness.js'
+
+export const ECOLI_SCHEMES = thresholdConfig.schemes
+export const DEFAULT_ECOLI_SCHEME = thresholdConfig.default
+
+// A change smaller than this fraction of the previous sample counts as steady;
+// single lab samples are noisy
+const TREND_TOLERANCE = 0.1
+
+export const getEcoliScheme = (schemeId) => ECOLI_SCHEMES[schemeId] || ECOLI_SCHEMES[DEFAULT_ECOLI_SCHEME]
+
+// Shown with each risk colour so the level can be read without it
+const RISK_SYMBOLS = {
+  low: '✓',
+  moderate: '!',
+  high: '!!',
+  'very-high': '✕'
+}
+
+export const getRiskSymbol = (level) => RISK_SYMBOLS[level] || '!'
+
+// Tiers are ordered by `max` (inclusive); the last tier has no upper bound
+export const classifyEcoli = (value, schemeId) => {
+  const { tiers } = getEcoliScheme(schemeId)
+  const tier = tiers.find(t => t.max === null || value <= t.max) || tiers[tiers.length - 1]
+  return { label: tier.label, level: tier.level, className: `${tier.level}-risk`, symbol: getRiskSymbol(tier.level) }
+}
+
+export const getEcoliTrend = (points) => {
+  if (points.length < 2) return { direction: 'unknown', label: 'Not enough samples', symbol: '–' }
+  const latest = points[points.length - 1].value
+  const previous = points[points.length - 2].value
+  const change = latest - previous
+
+  if (Math.abs(change) <= Math.max(previous, 1) * TREND_TOLERANCE) {
+    return { direction: 'steady', label: 'Steady', symbol: '→', change }
+  }
+  return change > 0
+    ? { direction: 'rising', label: 'Rising', symbol: '↑', change }
+    : { direction: 'falling', label: 'Falling', symbol: '↓', change }
+}
+
+// Upper bounds of every tier but the last, for drawing threshold lines
+export const getEcoliThresholdLines = (schemeId) =>
+  getEcoliScheme(schemeId).tiers
+    .filter(tier => tier.max !== null)
+    .map(tier => ({ value: tier.max, label: `${tier.label} limit` }))
+
+// Picks what an E.coli card shows: the lab value while it is current, otherwise
+// the turbidity-based estimate (falling back to an old lab value if there is
+// no estimate either). Only sites with a configured regression, or one fitted
+// well enough from their own samples, get estimates. Returns null when the
+// site has nothing to show.
+export const summarizeEcoliSite = (site, schemeId, now = Date.now()) => {
+  const measuredPoints = site.series?.points || []
+  const measured = measuredPoints[measuredPoints.length - 1] || null
+  const model = getRegressionModel(site.siteId, site.model)
+  const estimatedPoints = site.turbidity && model
+    ? estimateEcoliSeries(site.turbidity.points, model)
+    : []
+  const estimated = estimatedPoints[estimatedPoints.length - 1] || null
+
+  const measuredIsCurrent = measured &&
+    getFreshness(getDataAge(measured.dateTime, now), FRESHNESS_THRESHOLDS.ecoli) === 'fresh'
+  const isEstimate = Boolean(estimated) && !measuredIsCurrent
+  const reading = isEstimate ? estimated : measured
+  if (!reading) return null
+
+  const risk = classifyEcoli(reading.value, schemeId)
+  return {
+    siteId: site.siteId,
+    siteName: site.siteName,
+    location: site.location,
+    value: reading.value,
+    dateTime: reading.dateTime,
+    isEstimate,
+    turbidity: isEstimate ? estimated.turbidity : null,
+    model: isEstimate ? model : null,
+    measured,
+    measuredSeries: site.series,
+    risk,
+    riskLevel: risk.label,
+    trend: getEcoliTrend(isEstimate ? estimatedPoints : measuredPoints),
+    chartSeries: measuredPoints.length > 1
+      ? site.series
+      : { points: estimatedPoints, qualifiers: {}, isEstimate: true }
+  }
+}
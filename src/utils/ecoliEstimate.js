@@ -0,0 +1,83 @@
+import regressionConfig from '../config/ecoliRegression.json'
+
+const MODEL_FIELDS = ['intercept', 'slope', 'biasCorrection']
+
+// How far back lab samples and daily turbidity go for fitting
+export const CALIBRATION_DAYS = regressionConfig.fit.historyDays
+
+const isPositive = (value) => Number.isFinite(value) && value > 0
+
+// NWIS timestamps are in site time, so the date prefix is the site's calendar day
+const dateKey = (dateTime) => dateTime.slice(0, 10)
+
+/**
+ * Fits the turbidity regression for a site from its own history: each lab
+ * sample is paired with the daily mean turbidity on the day it was taken,
+ * and log10(E.coli) is regressed on log10(turbidity) by least squares. The
+ * bias correction is Duan's smearing factor for transforming back from logs.
+ * @param {Array<{dateTime: string, value: number}>} samples lab E.coli results
+ * @param {Array<{dateTime: string, value: number}>} dailyTurbidity daily means (FNU)
+ * @returns {Object|null} the model, or null with too few pairs or too weak a fit
+ */
+export const fitRegressionModel = (samples, dailyTurbidity) => {
+  const turbidityByDate = new Map(dailyTurbidity.filter(point => isPositive(point.value))
+    .map(point => [dateKey(point.dateTime), point.value]))
+  const pairs = samples
+    .filter(sample => isPositive(sample.value) && turbidityByDate.has(dateKey(sample.dateTime)))
+    .map(sample => ({ x: Math.log10(turbidityByDate.get(dateKey(sample.dateTime))), y: Math.log10(sample.value) }))
+  if (pairs.length < regressionConfig.fit.minSamples) return null
+
+  const mean = (values) => values.reduce((sum, value) => sum + value, 0) / values.length
+  const meanX = mean(pairs.map(pair => pair.x))
+  const meanY = mean(pairs.map(pair => pair.y))
+  const sxx = pairs.reduce((sum, pair) => sum + (pair.x - meanX) ** 2, 0)
+  const syy = pairs.reduce((sum, pair) => sum + (pair.y - meanY) ** 2, 0)
+  if (sxx === 0 || syy === 0) return null
+  const slope = pairs.reduce((sum, pair) => sum + (pair.x - meanX) * (pair.y - meanY), 0) / sxx
+  const intercept = meanY - slope * meanX
+
+  const residuals = pairs.map(pair => pair.y - (intercept + slope * pair.x))
+  const rSquared = 1 - residuals.reduce((sum, residual) => sum + residual ** 2, 0) / syy
+  // More turbid water carries more bacteria; anything else is noise
+  if (slope <= 0 || rSquared < regressionConfig.fit.minRSquared) return null
+
+  const turbidities = pairs.map(pair => 10 ** pair.x)
+  return {
+    intercept,
+    slope,
+    biasCorrection: mean(residuals.map(residual => 10 ** residual)),
+    turbidityRange: [Math.min(...turbidities), Math.max(...turbidities)],
+    sampleCount: pairs.length,
+    rSquared,
+    source: 'fitted'
+  }
+}
+
+const isCompleteModel = (model) => Boolean(model) &&
+  MODEL_FIELDS.every(field => Number.isFinite(model[field])) &&
+  Array.isArray(model.turbidityRange) && model.turbidityRange.length === 2
+
+// Turbidity-to-E.coli regression (the model behind BacteriALERT's real-time
+// estimates). Coefficients set for the site in the config win; otherwise the
+// model fitted from the site's own history, if the fit was good enough. The
+// relationship differs from gauge to gauge, so there is no shared default.
+export const getRegressionModel = (siteId, fittedModel = null) => {
+  const configured = Object.hasOwn(regressionConfig.sites, siteId) ? regressionConfig.sites[siteId] : null
+  if (isCompleteModel(configured)) return configured
+  return isCompleteModel(fittedModel) ? fittedModel : null
+}
+
+export const estimateEcoli = (turbidity, model) => {
+  if (!Number.isFinite(turbidity) || turbidity <= 0) return null
+  const [min, max] = model.turbidityRange
+  // Outside the calibration range the regression says nothing useful
+  if (turbidity < min || turbidity > max) return null
+  const logEcoli = model.intercept + model.slope * Math.log10(turbidity)
+  return Math.round(Math.pow(10, logEcoli) * model.biasCorrection)
+}
+
+// Estimated E.coli series from a turbidity series, skipping readings the model can't use
+export const estimateEcoliSeries = (turbidityPoints, model) =>
+  turbidityPoints
+    .map(point => ({ ...point, value: estimateEcoli(point.value, model), turbidity: point.value }))
+    .filter(point => point.value !== null)
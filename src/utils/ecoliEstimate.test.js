@@ -0,0 +1,56 @@
+import { describe, it, expect } from 'vitest'
+import { fitRegressionModel, getRegressionModel, estimateEcoli } from './ecoliEstimate.js'
+
+// Lab samples at 10:00 and daily mean turbidity for the same days, with
+// E.coli = 10^(1 + 1.2 log10(turbidity)) and a small alternating scatter
+const history = (count, slope = 1.2) => {
+  const samples = []
+  const dailyTurbidity = []
+  for (let index = 0; index < count; index++) {
+    const date = new Date(Date.UTC(2025, 0, 1 + index * 3)).toISOString().slice(0, 10)
+    const turbidity = 2 + (index % 10) * 4
+    const scatter = index % 2 ? 0.05 : -0.05
+    dailyTurbidity.push({ dateTime: date, value: turbidity })
+    samples.push({ dateTime: `${date}T10:00:00.000-05:00`, value: 10 ** (1 + slope * Math.log10(turbidity) + scatter) })
+  }
+  return { samples, dailyTurbidity }
+}
+
+describe('fitRegressionModel', () => {
+  it('recovers the relationship between turbidity and lab counts', () => {
+    const { samples, dailyTurbidity } = history(40)
+    const model = fitRegressionModel(samples, dailyTurbidity)
+
+    expect(model).toMatchObject({ sampleCount: 40, turbidityRange: [2, 38], source: 'fitted' })
+    expect(model.slope).toBeCloseTo(1.2, 1)
+    expect(model.intercept).toBeCloseTo(1, 1)
+    expect(model.rSquared).toBeGreaterThan(0.9)
+    expect(model.biasCorrection).toBeGreaterThan(1)
+    expect(estimateEcoli(20, model)).toBeGreaterThan(300)
+  })
+
+  it('only pairs samples with turbidity from the same day', () => {
+    const { samples, dailyTurbidity } = history(40)
+    expect(fitRegressionModel(samples, dailyTurbidity.slice(0, 10))).toBeNull()
+  })
+
+  it('gives up on too few samples or counts that fall as turbidity rises', () => {
+    const few = history(10)
+    expect(fitRegressionModel(few.samples, few.dailyTurbidity)).toBeNull()
+    const falling = history(40, -1)
+    expect(fitRegressionModel(falling.samples, falling.dailyTurbidity)).toBeNull()
+  })
+})
+
+describe('getRegressionModel', () => {
+  it('uses the fitted model for a site without configured coefficients', () => {
+    const { samples, dailyTurbidity } = history(40)
+    const fitted = fitRegressionModel(samples, dailyTurbidity)
+    expect(getRegressionModel('02335000', fitted)).toBe(fitted)
+    expect(getRegressionModel('02335000')).toBeNull()
+  })
+
+  it('ignores an incomplete model', () => {
+    expect(getRegressionModel('02335000', { intercept: 1, slope: 1 })).toBeNull()
+  })
+})
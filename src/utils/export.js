@@ -0,0 +1,181 @@
+import { PARAMETERS } from './parameters.js'
+
+// Every export uses one long-format table so site series, daily peaks, E.coli
+// readings and forecast periods can share a single CSV
+export const EXPORT_COLUMNS = [
+  'dataset',
+  'site_id',
+  'site_name',
+  'parameter_code',
+  'parameter_name',
+  'unit',
+  'date_time',
+  'value',
+  'qualifiers',
+  'note'
+]
+
+// NWIS instantaneous timestamps carry an offset and become UTC; daily values
+// (no offset) and plain dates are already unambiguous and pass through
+export const toIsoTimestamp = (dateTime) => {
+  if (!dateTime) return ''
+  if (!/(Z|[+-]\d{2}:?\d{2})$/.test(dateTime)) return dateTime
+  const date = new Date(dateTime)
+  return Number.isNaN(date.getTime()) ? dateTime : date.toISOString()
+}
+
+const seriesRows = (site, series, dataset) =>
+  series.points.map(point => ({
+    dataset,
+    site_id: site.siteId,
+    site_name: site.siteName,
+    parameter_code: series.parameterCode,
+    parameter_name: PARAMETERS[series.parameterCode]?.label || series.parameterName,
+    unit: PARAMETERS[series.parameterCode]?.unit || series.unit,
+    date_time: toIsoTimestamp(point.dateTime),
+    value: point.value,
+    qualifiers: point.qualifiers.join(';'),
+    note: series.statisticCode ? `statistic ${series.statisticCode}` : ''
+  }))
+
+export const siteRows = (site) => {
+  const rows = []
+  Object.values(site.chartSeries || {}).forEach(series => {
+    rows.push(...seriesRows(site, series, site.range?.service === 'dv' ? 'daily_values' : 'instantaneous_values'))
+  })
+  Object.values(site.dailyPeaks || {}).forEach(peak => {
+    rows.push({
+      dataset: 'daily_peak',
+      site_id: site.siteId,
+      site_name: site.siteName,
+      parameter_code: '00010',
+      parameter_name: 'Daily Peak Water Temperature',
+      unit: '°C',
+      date_time: toIsoTimestamp(peak.dateTime),
+      value: peak.tempC,
+      qualifiers: '',
+      note: ''
+    })
+  })
+  return rows
+}
+
+export const ecoliRows = (ecoliInfo) => {
+  const rows = ecoliInfo.measuredSeries
+    ? seriesRows(ecoliInfo, ecoliInfo.measuredSeries, 'ecoli')
+    : []
+  if (ecoliInfo.isEstimate) {
+    rows.push({
+      dataset: 'ecoli_estimate',
+      site_id: ecoliInfo.siteId,
+      site_name: ecoliInfo.siteName,
+      parameter_code: '99407',
+      parameter_name: 'E.coli (modelled from turbidity)',
+      unit: 'CFU/100mL',
+      date_time: toIsoTimestamp(ecoliInfo.dateTime),
+      value: ecoliInfo.value,
+      qualifiers: '',
+      note: `turbidity ${ecoliInfo.turbidity} FNU; ${ecoliInfo.riskLevel}`
+    })
+  }
+  return rows
+}
+
+export const forecastRows = (periods) =>
+  periods.map(period => ({
+    dataset: 'forecast',
+    site_id: '',
+    site_name: period.name,
+    parameter_code: '',
+    parameter_name: 'Air Temperature',
+    unit: `°${period.temperatureUnit}`,
+    date_time: toIsoTimestamp(period.startTime),
+    value: period.temperature,
+    qualifiers: '',
+    note: `${period.shortForecast}; wind ${period.windSpeed} ${period.windDirection}`
+  }))
+
+const escapeCsv = (value) => {
+  const text = value === null || value === undefined ? '' : String(value)
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text
+}
+
+export const toCsv = (rows, columns = EXPORT_COLUMNS) =>
+  [columns.join(','), ...rows.map(row => columns.map(column => escapeCsv(row[column])).join(','))].join('\r\n')
+
+const seriesJson = (series) => ({
+  parameterCode: series.parameterCode,
+  parameterName: PARAMETERS[series.parameterCode]?.label || series.parameterName,
+  unit: PARAMETERS[series.parameterCode]?.unit || series.unit,
+  statisticCode: series.statisticCode,
+  qualifierDescriptions: series.qualifiers,
+  points: series.points.map(point => ({
+    dateTime: toIsoTimestamp(point.dateTime),
+    value: point.value,
+    qualifiers: point.qualifiers
+  }))
+})
+
+export const siteJson = (site) => ({
+  siteId: site.siteId,
+  siteName: site.siteName,
+  location: site.location,
+  range: site.range && { label: site.range.label, service: site.range.service },
+  series: Object.values(site.chartSeries || {}).map(seriesJson),
+  dailyPeaks: Object.values(site.dailyPeaks || {}).map(peak => ({
+    dateTime: toIsoTimestamp(peak.dateTime),
+    tempC: peak.tempC,
+    tempF: Number(peak.tempF.toFixed(2))
+  }))
+})
+
+export const ecoliJson = (ecoliInfo) => ({
+  siteId: ecoliInfo.siteId,
+  siteName: ecoliInfo.siteName,
+  current: {
+    dateTime: toIsoTimestamp(ecoliInfo.dateTime),
+    value: ecoliInfo.value,
+    unit: 'CFU/100mL',
+    riskLevel: ecoliInfo.riskLevel,
+    isEstimate: ecoliInfo.isEstimate,
+    turbidity: ecoliInfo.turbidity
+  },
+  series: ecoliInfo.measuredSeries ? seriesJson(ecoliInfo.measuredSeries) : null
+})
+
+export const buildDashboardExport = ({ sites, ecoli, forecast }) => ({
+  generatedAt: new Date().toISOString(),
+  sites: sites.filter(site => site.location).map(siteJson),
+  ecoli: ecoli.map(ecoliJson),
+  forecast: forecast.map(period => ({
+    name: period.name,
+    startTime: toIsoTimestamp(period.startTime),
+    endTime: toIsoTimestamp(period.endTime),
+    temperature: period.temperature,
+    temperatureUnit: period.temperatureUnit,
+    windSpeed: period.windSpeed,
+    windDirection: period.windDirection,
+    shortForecast: period.shortForecast
+  }))
+})
+
+export const buildDashboardCsv = ({ sites, ecoli, forecast }) => toCsv([
+  ...sites.flatMap(siteRows),
+  ...ecoli.flatMap(ecoliRows),
+  ...forecastRows(forecast)
+])
+
+export const downloadFile = (filename, content, type) => {
+  const blob = new Blob([content], { type })
+  const url = URL.createObjectURL(blob)
+  const link = document.createElement('a')
+  link.href = url
+  link.download = filename
+  document.body.appendChild(link)
+  link.click()
+  link.remove()
+  URL.revokeObjectURL(url)
+}
+
+export const exportFilename = (name, extension) =>
+  `${name}-${new Date().toISOString().slice(0, 16).replace(/[:T]/g, '-')}.${extension}`
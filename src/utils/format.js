@@ -0,0 +1,62 @@
+import { PARAMETER_CODES } from '../api/usgs.js'
+import { PARAMETERS } from './parameters.js'
+import { DEFAULT_PREFERENCES, getDisplayScale, resolveTimeZone } from './preferences.js'
+
+export const celsiusToFahrenheit = (celsius) => (celsius * 9/5) + 32
+export const formatSiteName = (siteName) => siteName.replace('CHATTAHOOCHEE RIVER', 'Chattahoochee R.')
+
+export const formatParameterValue = (value, parameterCode, preferences = DEFAULT_PREFERENCES) => {
+  if (value === null || value === undefined || Number.isNaN(value)) return 'N/A'
+  if (!PARAMETERS[parameterCode]) return `${value}`
+  const scale = getDisplayScale(parameterCode, preferences)
+  const separator = scale.unit.startsWith('°') ? '' : ' '
+  return `${scale.convert(value).toLocaleString([], { maximumFractionDigits: scale.decimals })}${separator}${scale.unit}`
+}
+
+export const formatTemperature = (tempC, preferences = DEFAULT_PREFERENCES) =>
+  formatParameterValue(tempC, PARAMETER_CODES.WATER_TEMPERATURE, preferences)
+
+const zoneOptions = (preferences) => ({
+  timeZone: resolveTimeZone(preferences),
+  hour12: preferences.hourCycle === '12'
+})
+
+export const formatDateTime = (dateTime, preferences = DEFAULT_PREFERENCES, options = {
+  month: 'short', day: 'numeric', hour: 'numeric', minute: '2-digit', timeZoneName: 'short'
+}) => new Date(dateTime).toLocaleString([], { ...options, ...zoneOptions(preferences) })
+
+export const formatTime = (dateTime, preferences = DEFAULT_PREFERENCES) =>
+  formatDateTime(dateTime, preferences, { hour: 'numeric', minute: '2-digit' })
+
+export const formatDate = (dateTime, preferences = DEFAULT_PREFERENCES) =>
+  formatDateTime(dateTime, preferences, { year: 'numeric', month: 'short', day: 'numeric' })
+
+// Calendar day (YYYY-MM-DD) in the preferred zone, for grouping readings by day
+export const formatDateKey = (dateTime, preferences = DEFAULT_PREFERENCES) =>
+  new Date(dateTime).toLocaleDateString('en-CA', { timeZone: resolveTimeZone(preferences) })
+
+export const fahrenheitToCelsius = (fahrenheit) => (fahrenheit - 32) * 5/9
+
+// Air temperature in the preferred unit; NWS forecasts come in °F, observations in °C
+export const toPreferredTemperature = (value, unit, preferences = DEFAULT_PREFERENCES) => {
+  const celsius = unit === 'F' ? fahrenheitToCelsius(value) : value
+  return preferences.temperatureUnit === 'F' ? celsiusToFahrenheit(celsius) : celsius
+}
+
+export const formatAirTemperature = (value, unit, preferences = DEFAULT_PREFERENCES) => {
+  if (value === null || value === undefined) return '--°'
+  return `${Math.round(toPreferredTemperature(value, unit, preferences))}°${preferences.temperatureUnit}`
+}
+
+export const formatWindSpeed = (kmh, preferences = DEFAULT_PREFERENCES) => {
+  if (kmh === null || kmh === undefined) return 'N/A'
+  return preferences.unitSystem === 'metric' ? `${Math.round(kmh)} km/h` : `${Math.round(kmh * 0.621371)} mph`
+}
+
+const COMPASS_POINTS = ['N', 'NE', 'E', 'SE', 'S', 'SW', 'W', 'NW']
+
+export const formatWindDirection = (degrees) =>
+  degrees === null || degrees === undefined ? '' : COMPASS_POINTS[Math.round(degrees / 45) % 8]
+
+export const formatRainfall = (inches, preferences = DEFAULT_PREFERENCES) =>
+  preferences.unitSystem === 'metric' ? `${(inches * 25.4).toFixed(0)} mm` : `${inches.toFixed(2)} in`
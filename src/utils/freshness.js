@@ -0,0 +1,31 @@
+const MINUTE = 60 * 1000
+const HOUR = 60 * MINUTE
+const DAY = 24 * HOUR
+
+// USGS instantaneous values arrive every ~15 minutes but are usually
+// transmitted hourly, so an hour or two of lag is normal
+export const FRESHNESS_THRESHOLDS = {
+  water: { stale: 2 * HOUR, veryStale: 6 * HOUR },
+  ecoli: { stale: 2 * DAY, veryStale: 7 * DAY }
+}
+
+export const getDataAge = (dateTime, now = Date.now()) => {
+  if (!dateTime) return null
+  const time = new Date(dateTime).getTime()
+  return Number.isNaN(time) ? null : Math.max(0, now - time)
+}
+
+export const getFreshness = (age, thresholds = FRESHNESS_THRESHOLDS.water) => {
+  if (age === null) return 'unknown'
+  if (age >= thresholds.veryStale) return 'very-stale'
+  if (age >= thresholds.stale) return 'stale'
+  return 'fresh'
+}
+
+export const formatAge = (age) => {
+  if (age === null) return 'unknown'
+  if (age < MINUTE) return 'just now'
+  if (age < HOUR) return `${Math.floor(age / MINUTE)} min ago`
+  if (age < DAY) return `${Math.floor(age / HOUR)} h ago`
+  return `${Math.floor(age / DAY)} d ago`
+}
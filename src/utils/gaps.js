@@ -0,0 +1,30 @@
+// A break of this many typical sampling intervals is drawn as a gap
+const GAP_MULTIPLIER = 3
+
+const medianInterval = (times) => {
+  if (times.length < 2) return null
+  const intervals = []
+  for (let i = 1; i < times.length; i++) intervals.push(times[i] - times[i - 1])
+  intervals.sort((a, b) => a - b)
+  return intervals[Math.floor(intervals.length / 2)]
+}
+
+// Converts series points to Chart.js {x, y} data, inserting a null point
+// wherever readings stop for longer than usual so outages show as breaks
+// in the line instead of a straight interpolation across them
+export const toChartPoints = (points, mapValue = (value) => value) => {
+  const times = points.map(point => new Date(point.dateTime).getTime())
+  const interval = medianInterval(times)
+  const gapThreshold = interval ? interval * GAP_MULTIPLIER : Infinity
+
+  const data = []
+  points.forEach((point, index) => {
+    if (index > 0 && times[index] - times[index - 1] > gapThreshold) {
+      data.push({ x: (times[index] + times[index - 1]) / 2, y: null, isGap: true })
+    }
+    data.push({ x: times[index], y: mapValue(point.value), qualifiers: point.qualifiers })
+  })
+  return data
+}
+
+export const countGaps = (data) => data.filter(point => point.isGap).length
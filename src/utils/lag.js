@@ -0,0 +1,74 @@
+const MINUTE_MS = 60 * 1000
+
+// Linear interpolation of a series onto a regular time grid. Grid times that
+// fall inside an outage (no reading within `maxGapMs` on either side) are null.
+const resample = (points, grid, maxGapMs) => {
+  const times = points.map(point => new Date(point.dateTime).getTime())
+  let index = 0
+  return grid.map(time => {
+    while (index < times.length - 2 && times[index + 1] < time) index++
+    const t0 = times[index]
+    const t1 = times[index + 1]
+    if (t1 === undefined || time < t0 || time > t1 || t1 - t0 > maxGapMs) return null
+    const fraction = t1 === t0 ? 0 : (time - t0) / (t1 - t0)
+    return points[index].value + (points[index + 1].value - points[index].value) * fraction
+  })
+}
+
+const correlation = (a, b) => {
+  const pairs = []
+  a.forEach((value, index) => {
+    if (value !== null && b[index] !== null && b[index] !== undefined) pairs.push([value, b[index]])
+  })
+  if (pairs.length < 3) return null
+  const meanA = pairs.reduce((sum, [x]) => sum + x, 0) / pairs.length
+  const meanB = pairs.reduce((sum, [, y]) => sum + y, 0) / pairs.length
+  let covariance = 0
+  let varianceA = 0
+  let varianceB = 0
+  pairs.forEach(([x, y]) => {
+    covariance += (x - meanA) * (y - meanB)
+    varianceA += (x - meanA) ** 2
+    varianceB += (y - meanB) ** 2
+  })
+  return varianceA > 0 && varianceB > 0 ? covariance / Math.sqrt(varianceA * varianceB) : null
+}
+
+/**
+ * Travel time between two gauges by cross-correlation: the shift of the
+ * downstream series that best lines it up with the upstream one.
+ * @param {Object[]} upstreamPoints - series points ({dateTime, value})
+ * @param {Object[]} downstreamPoints
+ * @param {Object} [options]
+ * @param {number} [options.maxLagHours=12] - largest shift tried, in either direction
+ * @param {number} [options.stepMinutes=15] - resampling interval and lag resolution
+ * @returns {{lagHours: number, correlation: number}|null} positive lag = downstream follows upstream
+ */
+export const estimateLag = (upstreamPoints, downstreamPoints, { maxLagHours = 12, stepMinutes = 15 } = {}) => {
+  if (upstreamPoints.length < 3 || downstreamPoints.length < 3) return null
+  const stepMs = stepMinutes * MINUTE_MS
+  const start = Math.max(new Date(upstreamPoints[0].dateTime).getTime(), new Date(downstreamPoints[0].dateTime).getTime())
+  const end = Math.min(
+    new Date(upstreamPoints[upstreamPoints.length - 1].dateTime).getTime(),
+    new Date(downstreamPoints[downstreamPoints.length - 1].dateTime).getTime()
+  )
+  if (end - start < 2 * maxLagHours * 60 * MINUTE_MS) return null
+
+  const grid = []
+  for (let time = start; time <= end; time += stepMs) grid.push(time)
+  const maxGapMs = 4 * stepMs
+  const upstream = resample(upstreamPoints, grid, maxGapMs)
+  const downstream = resample(downstreamPoints, grid, maxGapMs)
+
+  const maxSteps = Math.round(maxLagHours * 60 / stepMinutes)
+  let best = null
+  for (let lag = -maxSteps; lag <= maxSteps; lag++) {
+    // Compare upstream at t with downstream at t + lag
+    const shifted = grid.map((_, index) => downstream[index + lag] ?? null)
+    const r = correlation(upstream, shifted)
+    if (r !== null && (!best || r > best.correlation)) {
+      best = { lagHours: lag * stepMinutes / 60, correlation: r }
+    }
+  }
+  return best
+}
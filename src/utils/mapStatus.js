@@ -0,0 +1,54 @@
+import { formatTemperature, formatDate } from './format.js'
+
+// Water temperature bands for map markers, by exclusive upper bound in °C.
+// Trout on the tailwater start to struggle above 20°C and are at risk past 23°C
+export const TEMPERATURE_BANDS = [
+  { id: 'cold', max: 10 },
+  { id: 'cool', max: 16 },
+  { id: 'mild', max: 20 },
+  { id: 'warm', max: 23 },
+  { id: 'hot', max: null }
+]
+
+export const getTemperatureBand = (tempC) => {
+  if (!Number.isFinite(tempC)) return null
+  return TEMPERATURE_BANDS.find(band => band.max === null || tempC < band.max)
+}
+
+export const describeTemperatureBand = (band, preferences) => {
+  const lower = TEMPERATURE_BANDS[TEMPERATURE_BANDS.indexOf(band) - 1]?.max
+  if (lower === undefined) return `Below ${formatTemperature(band.max, preferences)}`
+  if (band.max === null) return `${formatTemperature(lower, preferences)} and above`
+  return `${formatTemperature(lower, preferences)} to ${formatTemperature(band.max, preferences)}`
+}
+
+// Points from the last `hours` of a series, measured back from its newest point
+export const trailingPoints = (points, hours) => {
+  if (points.length === 0) return []
+  const cutoff = new Date(points[points.length - 1].dateTime).getTime() - hours * 60 * 60 * 1000
+  return points.filter(point => new Date(point.dateTime).getTime() >= cutoff)
+}
+
+// How long a series covers, from its first point to its last: "36 hours", "30 days"
+export const describeSpan = (points) => {
+  if (points.length < 2) return null
+  const hours = (new Date(points[points.length - 1].dateTime) - new Date(points[0].dateTime)) / (60 * 60 * 1000)
+  if (hours < 48) return `${Math.max(1, Math.round(hours))} hours`
+  return `${Math.round(hours / 24)} days`
+}
+
+// Screen-reader label for an E.coli sparkline: whether it is lab samples or
+// the turbidity estimate, and the span it really covers
+export const describeEcoliSparkline = (series, preferences) => {
+  const { points } = series
+  const span = describeSpan(points)
+  if (!span) return null
+  const source = series.isEstimate ? 'Estimated E.coli from turbidity' : `${points.length} lab E.coli samples`
+  return `${source} over ${span} to ${formatDate(points[points.length - 1].dateTime, preferences)}`
+}
+
+// [lat, lon] pairs for every site and E.coli location, for fitting the map
+export const getMapPositions = (sites, ecoli) =>
+  [...sites, ...ecoli]
+    .filter(site => site.location)
+    .map(site => [site.location.lat, site.location.lon])
@@ -0,0 +1,26 @@
+import { describe, it, expect } from 'vitest'
+import { describeSpan, describeEcoliSparkline } from './mapStatus.js'
+
+const UTC = { temperatureUnit: 'C', unitSystem: 'metric', timeZone: 'utc', hourCycle: '24' }
+
+const points = (...dateTimes) => dateTimes.map(dateTime => ({ dateTime, value: 100 }))
+
+describe('describeSpan', () => {
+  it('counts hours under two days and days beyond', () => {
+    expect(describeSpan(points('2026-06-01T00:00:00Z', '2026-06-01T18:00:00Z'))).toBe('18 hours')
+    expect(describeSpan(points('2026-05-20T10:00:00Z', '2026-06-01T10:00:00Z'))).toBe('12 days')
+    expect(describeSpan(points('2026-06-01T00:00:00Z'))).toBeNull()
+  })
+})
+
+describe('describeEcoliSparkline', () => {
+  it('labels lab samples by count and their real span', () => {
+    const series = { points: points('2026-05-20T10:00:00Z', '2026-05-26T10:00:00Z', '2026-06-01T10:00:00Z') }
+    expect(describeEcoliSparkline(series, UTC)).toMatch(/^3 lab E\.coli samples over 12 days to Jun 1, 2026$/)
+  })
+
+  it('says when the line is the turbidity estimate', () => {
+    const series = { isEstimate: true, points: points('2026-06-01T00:00:00Z', '2026-06-01T06:00:00Z') }
+    expect(describeEcoliSparkline(series, UTC)).toMatch(/^Estimated E\.coli from turbidity over 6 hours/)
+  })
+})
@@ -0,0 +1,54 @@
+// IndexedDB store for the last successful response of each dashboard section,
+// so the page can still show last-known values without a connection. Like the
+// localStorage helpers, every call tolerates a browser without IndexedDB.
+const DB_NAME = 'chattahoochee-dashboard'
+const STORE_NAME = 'responses'
+const DB_VERSION = 1
+
+let dbPromise = null
+
+const openDatabase = () => {
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      if (typeof indexedDB === 'undefined') {
+        reject(new Error('IndexedDB is not available'))
+        return
+      }
+      const request = indexedDB.open(DB_NAME, DB_VERSION)
+      request.onupgradeneeded = () => request.result.createObjectStore(STORE_NAME)
+      request.onsuccess = () => resolve(request.result)
+      request.onerror = () => reject(request.error)
+    })
+    // Let a later call try again rather than caching the failure
+    dbPromise.catch(() => { dbPromise = null })
+  }
+  return dbPromise
+}
+
+const runTransaction = async (mode, action) => {
+  const db = await openDatabase()
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction(STORE_NAME, mode)
+    const request = action(transaction.objectStore(STORE_NAME))
+    transaction.oncomplete = () => resolve(request.result)
+    transaction.onerror = () => reject(transaction.error)
+  })
+}
+
+// Resolves to { value, savedAt } or null when nothing is cached
+export const readCache = async (key) => {
+  try {
+    return (await runTransaction('readonly', store => store.get(key))) || null
+  } catch (error) {
+    console.warn(`Unable to read cached ${key}:`, error.message)
+    return null
+  }
+}
+
+export const writeCache = async (key, value) => {
+  try {
+    await runTransaction('readwrite', store => store.put({ value, savedAt: Date.now() }, key))
+  } catch (error) {
+    console.warn(`Unable to cache ${key}:`, error.message)
+  }
+}
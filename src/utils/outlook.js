@@ -0,0 +1,95 @@
+import outlookConfig from '../config/riverOutlook.json'
+import { formatDateKey } from './format.js'
+
+export const OUTLOOK_LEVELS = ['good', 'caution', 'avoid']
+
+const MM_PER_INCH = 25.4
+const HOUR_MS = 60 * 60 * 1000
+// Outlook days follow the river's calendar, whatever the viewer's time zone
+const SITE_DAYS = { timeZone: 'site' }
+
+const worse = (a, b) => (OUTLOOK_LEVELS.indexOf(a) >= OUTLOOK_LEVELS.indexOf(b) ? a : b)
+
+const levelFor = (value, limits) => {
+  if (value === null || value === undefined) return 'good'
+  if (value >= limits.avoid) return 'avoid'
+  if (value >= limits.caution) return 'caution'
+  return 'good'
+}
+
+// Spreads each QPF interval evenly over its hours so rain that straddles
+// midnight lands on the right day. Returns inches per site-calendar day.
+export const dailyRainfall = (qpf) => {
+  const totals = {}
+  qpf.forEach(({ start, hours, mm }) => {
+    const startTime = new Date(start).getTime()
+    const steps = Math.max(hours, 1)
+    for (let hour = 0; hour < steps; hour++) {
+      const day = formatDateKey(startTime + hour * HOUR_MS, SITE_DAYS)
+      totals[day] = (totals[day] || 0) + mm / steps / MM_PER_INCH
+    }
+  })
+  return totals
+}
+
+// Rain measured at the nearest NWS station over the last 72 hours, in mm
+export const recentRainfall = (observations, now = Date.now()) => {
+  const since = now - 72 * HOUR_MS
+  const amounts = observations
+    .filter(observation => new Date(observation.timestamp).getTime() >= since && observation.precipitationLastHour !== null)
+    .map(observation => observation.precipitationLastHour)
+  return amounts.length > 0 ? amounts.reduce((total, value) => total + value, 0) : null
+}
+
+const dayLabel = (dayKey, index) => index === 0
+  ? 'Today'
+  : new Date(`${dayKey}T12:00:00`).toLocaleDateString([], { weekday: 'long' })
+
+/**
+ * Per-day river use outlook. Rain drives runoff into the river on the day it
+ * falls and the day after; current flow and E.coli only say something about
+ * today and (less so) tomorrow.
+ * @param {Object} inputs
+ * @param {Array} inputs.qpf - NWS quantitative precipitation intervals
+ * @param {number|null} inputs.recentRainMm - rain measured over the last 72 hours
+ * @param {number|null} inputs.dischargeCfs - highest current discharge across sites
+ * @param {string|null} inputs.ecoliLevel - worst current E.coli risk level
+ * @returns {Array<{date: string, label: string, rainInches: number, level: string, reasons: Array<{kind: string, value: *}>}>}
+ */
+export const buildRiverOutlook = ({ qpf = [], recentRainMm = null, dischargeCfs = null, ecoliLevel = null, now = Date.now() }) => {
+  if (qpf.length === 0) return []
+  const rainfall = dailyRainfall(qpf)
+  const recentRainInches = recentRainMm === null ? null : recentRainMm / MM_PER_INCH
+
+  return Array.from({ length: outlookConfig.days }, (_, index) => {
+    const date = formatDateKey(now + index * 24 * HOUR_MS, SITE_DAYS)
+    const previousDate = formatDateKey(now + (index - 1) * 24 * HOUR_MS, SITE_DAYS)
+    const rainInches = rainfall[date] || 0
+    const priorRainInches = index === 0 ? recentRainInches : rainfall[previousDate] || 0
+    const reasons = []
+    let level = 'good'
+
+    const rainLevel = levelFor(rainInches, outlookConfig.rainInches)
+    if (rainLevel !== 'good') reasons.push({ kind: 'rain', value: rainInches })
+    level = worse(level, rainLevel)
+
+    const priorLevel = levelFor(priorRainInches, index === 0 ? outlookConfig.recentRainInches : outlookConfig.rainInches)
+    if (priorLevel !== 'good') reasons.push({ kind: index === 0 ? 'recent-rain' : 'prior-rain', value: priorRainInches })
+    level = worse(level, priorLevel)
+
+    if (index <= 1) {
+      // Today's conditions carry into tomorrow at one step lower
+      const soften = (current) => (index === 0 ? current : OUTLOOK_LEVELS[Math.max(OUTLOOK_LEVELS.indexOf(current) - 1, 0)])
+
+      const flowLevel = soften(levelFor(dischargeCfs, outlookConfig.dischargeCfs))
+      if (flowLevel !== 'good') reasons.push({ kind: 'flow', value: dischargeCfs })
+      level = worse(level, flowLevel)
+
+      const bacteriaLevel = soften(outlookConfig.ecoliLevels[ecoliLevel] || 'good')
+      if (bacteriaLevel !== 'good') reasons.push({ kind: 'ecoli', value: ecoliLevel })
+      level = worse(level, bacteriaLevel)
+    }
+
+    return { date, label: dayLabel(date, index), rainInches, level, reasons }
+  })
+}
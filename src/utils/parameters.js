@@ -0,0 +1,67 @@
+import { PARAMETER_CODES } from '../api/usgs.js'
+
+// Display metadata for the NWIS parameters the dashboard knows how to show.
+// seriesColor names the line colour in the theme (theme.colors.series)
+export const PARAMETERS = {
+  [PARAMETER_CODES.WATER_TEMPERATURE]: {
+    label: 'Water Temperature',
+    shortLabel: 'Temp',
+    unit: '°C',
+    decimals: 1,
+    seriesColor: 'waterTemperature',
+    isTemperature: true
+  },
+  [PARAMETER_CODES.DISCHARGE]: {
+    label: 'Discharge',
+    shortLabel: 'Flow',
+    unit: 'ft³/s',
+    decimals: 0,
+    seriesColor: 'discharge'
+  },
+  [PARAMETER_CODES.GAGE_HEIGHT]: {
+    label: 'Gage Height',
+    shortLabel: 'Stage',
+    unit: 'ft',
+    decimals: 2,
+    seriesColor: 'gageHeight'
+  },
+  [PARAMETER_CODES.TURBIDITY]: {
+    label: 'Turbidity',
+    shortLabel: 'Turbidity',
+    unit: 'FNU',
+    decimals: 1,
+    seriesColor: 'turbidity'
+  },
+  [PARAMETER_CODES.SPECIFIC_CONDUCTANCE]: {
+    label: 'Specific Conductance',
+    shortLabel: 'Conductance',
+    unit: 'µS/cm',
+    decimals: 0,
+    seriesColor: 'conductance'
+  },
+  [PARAMETER_CODES.ECOLI]: {
+    label: 'E.coli',
+    shortLabel: 'E.coli',
+    unit: 'CFU/100mL',
+    decimals: 0,
+    seriesColor: 'ecoli'
+  },
+  [PARAMETER_CODES.DISSOLVED_OXYGEN]: {
+    label: 'Dissolved Oxygen',
+    shortLabel: 'DO',
+    unit: 'mg/L',
+    decimals: 1,
+    seriesColor: 'dissolvedOxygen'
+  }
+}
+
+// Order they appear on a site card. Kept as an array because '63680' is an
+// integer-like key and would jump to the front of Object.keys(PARAMETERS)
+export const SITE_PARAMETER_CODES = [
+  PARAMETER_CODES.WATER_TEMPERATURE,
+  PARAMETER_CODES.DISCHARGE,
+  PARAMETER_CODES.GAGE_HEIGHT,
+  PARAMETER_CODES.TURBIDITY,
+  PARAMETER_CODES.SPECIFIC_CONDUCTANCE,
+  PARAMETER_CODES.DISSOLVED_OXYGEN
+]
@@ -0,0 +1,51 @@
+import { PARAMETER_CODES } from '../api/usgs.js'
+import { PARAMETERS } from './parameters.js'
+import { celsiusToFahrenheit, fahrenheitToCelsius } from './format.js'
+import { THEME_OPTIONS } from './theme.js'
+
+// The gauges are on Eastern time regardless of where the viewer is
+export const SITE_TIME_ZONE = 'America/New_York'
+
+export const DEFAULT_PREFERENCES = {
+  temperatureUnit: 'F',
+  unitSystem: 'imperial',
+  timeZone: 'site',
+  hourCycle: '12',
+  theme: 'system'
+}
+
+export const PREFERENCE_OPTIONS = {
+  temperatureUnit: { C: '°C', F: '°F' },
+  unitSystem: { imperial: 'Imperial (ft³/s, ft)', metric: 'Metric (m³/s, m)' },
+  timeZone: { site: 'River time (Eastern)', local: 'My time zone', utc: 'UTC' },
+  hourCycle: { 12: '12-hour', 24: '24-hour' },
+  theme: THEME_OPTIONS
+}
+
+const TIME_ZONES = {
+  site: SITE_TIME_ZONE,
+  local: undefined,
+  utc: 'UTC'
+}
+
+// IANA zone for Intl and the Chart.js adapter; undefined means the browser's own
+export const resolveTimeZone = (preferences) => TIME_ZONES[preferences.timeZone]
+
+// NWIS reports stage and discharge in imperial units
+const METRIC_SCALES = {
+  [PARAMETER_CODES.DISCHARGE]: { unit: 'm³/s', decimals: 1, convert: value => value * 0.0283168, invert: value => value / 0.0283168 },
+  [PARAMETER_CODES.GAGE_HEIGHT]: { unit: 'm', decimals: 2, convert: value => value * 0.3048, invert: value => value / 0.3048 }
+}
+
+const identity = (value) => value
+
+// Unit, precision and (stable) converters to and from the NWIS unit for showing a parameter under the user's preferences
+export const getDisplayScale = (parameterCode, preferences) => {
+  const parameter = PARAMETERS[parameterCode]
+  if (parameter?.isTemperature && preferences.temperatureUnit === 'F') {
+    return { unit: '°F', decimals: 1, convert: celsiusToFahrenheit, invert: fahrenheitToCelsius }
+  }
+  const metric = preferences.unitSystem === 'metric' && METRIC_SCALES[parameterCode]
+  if (metric) return metric
+  return { unit: parameter?.unit || '', decimals: parameter?.decimals ?? 2, convert: identity, invert: identity }
+}
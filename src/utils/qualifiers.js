@@ -0,0 +1,28 @@
+// NWIS data-value qualification codes. A series also carries its own
+// descriptions; these cover the common codes when it doesn't.
+export const QUALIFIER_DESCRIPTIONS = {
+  P: 'Provisional',
+  A: 'Approved',
+  e: 'Estimated',
+  E: 'Estimated',
+  Eqp: 'Equipment malfunction',
+  Ice: 'Ice affected',
+  Bkw: 'Backwater affected',
+  Dis: 'Data-collection discontinued',
+  Fld: 'Flood damage',
+  Mnt: 'Maintenance in progress',
+  Rat: 'Rating being developed',
+  Ssn: 'Seasonal - parameter monitored seasonally',
+  Dry: 'Dry',
+  '***': 'Temporarily unavailable'
+}
+
+export const isProvisional = (point) => point?.qualifiers?.includes('P') ?? false
+
+// The series' own descriptions come first; they are what NWIS means by the
+// code for that site, and the table above only fills the gaps
+export const describeQualifiers = (codes = [], seriesDescriptions = {}) =>
+  codes.map(code => {
+    const description = seriesDescriptions[code] || QUALIFIER_DESCRIPTIONS[code]
+    return description ? `${code} (${description})` : code
+  })
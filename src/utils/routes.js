@@ -0,0 +1,98 @@
+// Hash routes, so deep links work on GitHub Pages without server rewrites:
+//   #/                  dashboard
+//   #/site/02335450     detail page for a water site
+//   #/ecoli/02335880    detail page for an E.coli site
+// Each route carries the view in its query so a copied link reproduces it:
+//   #/site/02335450?range=30d&parameter=00060&temp=C&units=metric&tz=site&clock=24
+// The dashboard keeps one chart parameter per site as parameters=02335450:00060,...
+// Detail pages carry that map along so it survives the trip back; a site page
+// holds its own site's choice in parameter= instead
+import { RANGE_PRESETS, DEFAULT_RANGE, isValidCustomRange } from './timeRange.js'
+import { PREFERENCE_OPTIONS } from './preferences.js'
+import { PARAMETERS } from './parameters.js'
+import { isValidSiteId } from '../config/siteConfig.js'
+
+export const DASHBOARD_ROUTE = { page: 'dashboard', id: null }
+
+const DETAIL_PAGES = ['site', 'ecoli']
+
+// Short query names for each preference
+const PREFERENCE_PARAMS = {
+  temperatureUnit: 'temp',
+  unitSystem: 'units',
+  timeZone: 'tz',
+  hourCycle: 'clock'
+}
+
+// A preset id, or start..end for a custom range
+export const encodeRange = (range) =>
+  range.preset === 'custom' ? `${range.start}..${range.end}` : range.preset
+
+export const decodeRange = (value) => {
+  if (!value) return DEFAULT_RANGE
+  const [start, end] = value.split('..')
+  if (end !== undefined) {
+    return isValidCustomRange({ start, end })
+      ? { preset: 'custom', start, end }
+      : DEFAULT_RANGE
+  }
+  return RANGE_PRESETS.some(preset => preset.id === value && value !== 'custom') ? { preset: value } : DEFAULT_RANGE
+}
+
+const isKnownParameter = (code) => Boolean(PARAMETERS[code])
+
+const parseParameters = (value) => Object.fromEntries(
+  (value || '').split(',')
+    .map(entry => entry.split(':'))
+    .filter(([siteId, code]) => isValidSiteId(siteId) && isKnownParameter(code))
+)
+
+/**
+ * Reads a location hash. Unknown paths and malformed site numbers fall back
+ * to the dashboard; invalid view values are dropped.
+ * @param {string} hash e.g. window.location.hash
+ * @returns {{page: string, id: string|null, range: string, preferences: Object, parameters: Object<string, string>}}
+ *   range is in its encoded form so it can be compared cheaply
+ */
+export const parseHash = (hash) => {
+  const [path, query = ''] = hash.replace(/^#/, '').split('?')
+  const [page, id] = path.split('/').filter(Boolean)
+  const params = new URLSearchParams(query)
+  const route = DETAIL_PAGES.includes(page) && isValidSiteId(id) ? { page, id } : DASHBOARD_ROUTE
+
+  const preferences = {}
+  Object.entries(PREFERENCE_PARAMS).forEach(([key, param]) => {
+    const value = params.get(param)
+    if (value !== null && Object.hasOwn(PREFERENCE_OPTIONS[key], value)) preferences[key] = value
+  })
+
+  const parameters = {
+    ...parseParameters(params.get('parameters')),
+    ...(route.page === 'site' && params.has('parameter') ? parseParameters(`${route.id}:${params.get('parameter')}`) : {})
+  }
+
+  return { ...route, range: encodeRange(decodeRange(params.get('range'))), preferences, parameters }
+}
+
+/**
+ * Builds the hash for a page showing the given view. Every page keeps the
+ * range and the dashboard's parameter choices so they survive the trip back,
+ * though E.coli pages use neither themselves.
+ * @param {{page: string, id: string|null}} route
+ * @param {{range: Object, preferences: Object, parameters: Object<string, string>}} view
+ * @returns {string}
+ */
+export const buildHash = ({ page, id }, { range, preferences, parameters }) => {
+  const params = new URLSearchParams()
+  params.set('range', encodeRange(range))
+  if (page === 'site' && parameters[id]) params.set('parameter', parameters[id])
+  const entries = Object.entries(parameters)
+    .filter(([siteId]) => page !== 'site' || siteId !== id)
+    .map(([siteId, code]) => `${siteId}:${code}`)
+  if (entries.length > 0) params.set('parameters', entries.join(','))
+  Object.entries(PREFERENCE_PARAMS).forEach(([key, param]) => params.set(param, preferences[key]))
+
+  const path = page === 'dashboard' ? '/' : `/${page}/${id}`
+  // Keep the separators readable in shared links
+  return `#${path}?${params.toString().replaceAll('%3A', ':').replaceAll('%2C', ',')}`
+}
@@ -0,0 +1,100 @@
+import { PARAMETERS } from './parameters.js'
+import { formatDateKey } from './format.js'
+
+const HOUR_MS = 60 * 60 * 1000
+// A reading stands for the time until the next one, up to this long; beyond
+// that the sensor was down and the time isn't counted
+const MAX_READING_SPAN_MS = HOUR_MS
+
+/**
+ * Min/max/mean per calendar day (in the preferred zone), plus hours spent
+ * above `threshold` when one is given.
+ * @returns {Array<{date: string, min: number, max: number, mean: number, range: number, maxDateTime: string, count: number, hoursAbove: number|null}>}
+ */
+export const summarizeDays = (points, preferences, threshold = null) => {
+  const days = new Map()
+  points.forEach((point, index) => {
+    const date = formatDateKey(point.dateTime, preferences)
+    if (!days.has(date)) {
+      days.set(date, { date, min: Infinity, max: -Infinity, sum: 0, count: 0, maxDateTime: null, msAbove: 0 })
+    }
+    const day = days.get(date)
+    day.min = Math.min(day.min, point.value)
+    if (point.value > day.max) {
+      day.max = point.value
+      day.maxDateTime = point.dateTime
+    }
+    day.sum += point.value
+    day.count += 1
+
+    const next = points[index + 1]
+    if (threshold !== null && next && point.value > threshold) {
+      const span = new Date(next.dateTime) - new Date(point.dateTime)
+      if (span <= MAX_READING_SPAN_MS) day.msAbove += span
+    }
+  })
+
+  return [...days.values()].map(({ sum, msAbove, ...day }) => ({
+    ...day,
+    mean: sum / day.count,
+    range: day.max - day.min,
+    hoursAbove: threshold === null ? null : msAbove / HOUR_MS
+  }))
+}
+
+const MONTHS = ['January', 'February', 'March', 'April', 'May', 'June', 'July', 'August', 'September', 'October', 'November', 'December']
+
+// "mid-October"
+export const describeTimeOfYear = (month, day) =>
+  `${day <= 10 ? 'early' : day <= 20 ? 'mid' : 'late'}-${MONTHS[month - 1]}`
+
+// Where a value falls in the historical distribution, 0-100, interpolating
+// between the published percentiles
+export const estimatePercentile = (value, stat) => {
+  const knots = [[0, stat.min], ...Object.entries(stat.percentiles).map(([p, v]) => [Number(p), v]), [100, stat.max]]
+    .filter(([, v]) => v !== null)
+    .sort((a, b) => a[0] - b[0])
+  if (knots.length < 2) return null
+  if (value <= knots[0][1]) return knots[0][0]
+  if (value >= knots[knots.length - 1][1]) return knots[knots.length - 1][0]
+  const upper = knots.findIndex(([, v]) => v >= value)
+  const [p0, v0] = knots[upper - 1]
+  const [p1, v1] = knots[upper]
+  return v1 === v0 ? p1 : p0 + (p1 - p0) * (value - v0) / (v1 - v0)
+}
+
+// Same bands as USGS WaterWatch
+const BANDS = [
+  { max: 10, id: 'much-below', words: ['much below normal', 'unusually cold'] },
+  { max: 25, id: 'below', words: ['below normal', 'cooler than normal'] },
+  { max: 75, id: 'normal', words: ['normal', 'normal'] },
+  { max: 90, id: 'above', words: ['above normal', 'warmer than normal'] },
+  { max: 100, id: 'much-above', words: ['much above normal', 'unusually warm'] }
+]
+
+/**
+ * Compares a reading with the statistics for the same day of the year.
+ * @param {{value: number, dateTime: string}} reading
+ * @param {Object[]} statistics - rows from getDailyStatistics for one site
+ * @param {string} parameterCode
+ * @returns {Object|null} stat row, percentile, band id and a plain-language summary
+ */
+export const compareToHistory = (reading, statistics, parameterCode) => {
+  // Day of year on the river's calendar
+  const [, month, day] = formatDateKey(reading.dateTime, { timeZone: 'site' }).split('-').map(Number)
+  const stat = statistics.find(row => row.parameterCode === parameterCode && row.month === month && row.day === day)
+  if (!stat) return null
+  const percentile = estimatePercentile(reading.value, stat)
+  if (percentile === null) return null
+
+  const parameter = PARAMETERS[parameterCode]
+  const band = BANDS.find(b => percentile < b.max) || BANDS[BANDS.length - 1]
+  const isRecord = reading.value < stat.min || reading.value > stat.max
+  const description = isRecord
+    ? `${parameter.label} is a record ${reading.value > stat.max ? 'high' : 'low'} for ${describeTimeOfYear(month, day)}`
+    : parameter.isTemperature
+      ? `Water is ${band.words[1]} for ${describeTimeOfYear(month, day)}`
+      : `${parameter.label} is ${band.words[0]} for ${describeTimeOfYear(month, day)}`
+
+  return { stat, percentile, band: band.id, isRecord, description }
+}
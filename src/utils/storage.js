@@ -0,0 +1,27 @@
+// localStorage helpers that tolerate private browsing, quota errors and bad JSON
+const PREFIX = 'chattahoochee-dashboard:'
+
+export const readStorage = (key, fallback = null) => {
+  try {
+    const raw = window.localStorage.getItem(PREFIX + key)
+    return raw === null ? fallback : JSON.parse(raw)
+  } catch {
+    return fallback
+  }
+}
+
+export const writeStorage = (key, value) => {
+  try {
+    window.localStorage.setItem(PREFIX + key, JSON.stringify(value))
+  } catch (error) {
+    console.warn(`Unable to save ${key}:`, error.message)
+  }
+}
+
+export const removeStorage = (key) => {
+  try {
+    window.localStorage.removeItem(PREFIX + key)
+  } catch {
+    // Nothing to clean up if storage is unavailable
+  }
+}
@@ -0,0 +1,199 @@
+import surgeConfig from '../config/surge.json'
+import { PARAMETER_CODES } from '../api/usgs.js'
+
+const HOUR_MS = 60 * 60 * 1000
+
+// Gage height rises are judged in ft/hr; sites without a stage sensor fall
+// back to discharge, judged as a percentage of the flow before the rise
+const MEASURES = [
+  {
+    parameterCode: PARAMETER_CODES.GAGE_HEIGHT,
+    unit: 'ft/hr',
+    threshold: surgeConfig.gageRiseFeetPerHour,
+    toRate: (change, base, hours) => change / hours
+  },
+  {
+    parameterCode: PARAMETER_CODES.DISCHARGE,
+    unit: '%/hr',
+    threshold: surgeConfig.dischargeRisePercentPerHour,
+    toRate: (change, base, hours) => (base > 0 ? (change / base) * 100 / hours : 0)
+  }
+]
+
+// Rate of rise over the trailing window ending at each reading
+const trailingRates = (points, measure) => {
+  const windowMs = surgeConfig.windowMinutes * 60 * 1000
+  const times = points.map(point => new Date(point.dateTime).getTime())
+  const rates = []
+  let start = 0
+  points.forEach((point, index) => {
+    // Latest earlier reading at least a full window back
+    while (start + 1 < index && times[index] - times[start + 1] >= windowMs) start++
+    const elapsed = times[index] - times[start]
+    if (elapsed < windowMs) return
+    const rate = measure.toRate(point.value - points[start].value, points[start].value, elapsed / HOUR_MS)
+    rates.push({ time: times[index], rate, rising: rate >= measure.threshold })
+  })
+  return rates
+}
+
+const findOnsets = (rates) =>
+  rates.filter((entry, index) => entry.rising && !rates[index - 1]?.rising).map(entry => entry.time)
+
+const median = (values) => {
+  const sorted = [...values].sort((a, b) => a - b)
+  return sorted[Math.floor(sorted.length / 2)]
+}
+
+// Travel time between two gauges from past surges: each upstream onset is
+// paired with the first downstream onset that follows within maxTravelHours
+export const estimateTravelHours = (upstreamOnsets, downstreamOnsets) => {
+  const maxMs = surgeConfig.maxTravelHours * HOUR_MS
+  const lags = upstreamOnsets
+    .map(onset => {
+      const arrival = downstreamOnsets.find(time => time >= onset && time - onset <= maxMs)
+      return arrival === undefined ? null : (arrival - onset) / HOUR_MS
+    })
+    .filter(lag => lag !== null)
+  return lags.length > 0 ? median(lags) : null
+}
+
+// Longest available record: the charted window when it is instantaneous
+// data, otherwise the last day
+const surgePoints = (site, parameterCode) => {
+  const history = site.range?.service === 'iv' ? site.chartSeries?.[parameterCode]?.points : null
+  return history?.length > 1 ? history : site.series?.[parameterCode]?.points || []
+}
+
+const analyzeSite = (site) => {
+  const measure = MEASURES.find(m => surgePoints(site, m.parameterCode).length > 1)
+  if (!measure) return null
+  const rates = trailingRates(surgePoints(site, measure.parameterCode), measure)
+  const latest = rates[rates.length - 1]
+  const onsets = findOnsets(rates)
+  return {
+    siteId: site.siteId,
+    siteName: site.siteName,
+    location: site.location,
+    unit: measure.unit,
+    rate: latest?.rate ?? null,
+    rising: Boolean(latest?.rising),
+    onsets,
+    since: onsets[onsets.length - 1] ?? null
+  }
+}
+
+// Flat projection, close enough over the few kilometres between gauges
+const toPlane = ({ lat, lon }) => ({ x: lon * Math.cos(lat * Math.PI / 180), y: lat })
+
+// Where a location sits along the line of gauges, as a gauge index plus the
+// fraction of the way to the next one: 1.5 is halfway between the second and
+// third gauges. Points off either end extrapolate the end reach, so anything
+// below 0 is upstream of the first gauge. null without gauge locations.
+const riverPosition = (location, gauges) => {
+  if (!location || gauges.length < 2 || gauges.some(gauge => !gauge.location)) return null
+  const point = toPlane(location)
+  const reaches = gauges.slice(1).map((gauge, index) => {
+    const from = toPlane(gauges[index].location)
+    const to = toPlane(gauge.location)
+    const dx = to.x - from.x
+    const dy = to.y - from.y
+    const lengthSquared = dx * dx + dy * dy
+    const along = lengthSquared > 0 ? ((point.x - from.x) * dx + (point.y - from.y) * dy) / lengthSquared : 0
+    const isEnd = index === 0 ? along < 0 : index === gauges.length - 2 && along > 1
+    const clamped = isEnd ? along : Math.min(1, Math.max(0, along))
+    return { position: index + clamped, distance: Math.hypot(point.x - from.x - clamped * dx, point.y - from.y - clamped * dy) }
+  })
+  return reaches.reduce((nearest, reach) => (reach.distance < nearest.distance ? reach : nearest)).position
+}
+
+/**
+ * Flags surges at each site and estimates when a surge seen upstream will
+ * reach the sites below it, including E.coli sampling locations placed
+ * between the gauges by position. Gauges are taken to be in
+ * upstream-to-downstream order, as listed in the dashboard config.
+ *
+ * A surge stays active from its onset until it should have passed the
+ * furthest point downstream, plus holdHours, not just while the water is
+ * still climbing.
+ * @param {Array<Object>} sites processed water sites
+ * @param {Array<Object>} [ecoliSites] processed E.coli sites with locations
+ * @param {number} [now]
+ * @returns {Array<Object>} one entry per affected site, upstream first:
+ *   status 'surging' with rate/unit/since, 'surged' with since once the rise
+ *   has levelled off, or 'incoming' with arrival (ms), fromSiteName and
+ *   travelHours. E.coli entries have isEcoliSite set.
+ */
+export const detectSurges = (sites, ecoliSites = [], now = Date.now()) => {
+  const analyses = sites.map(analyzeSite).filter(Boolean)
+  const reachHours = analyses.slice(1).map((downstream, index) => {
+    const observed = estimateTravelHours(analyses[index].onsets, downstream.onsets)
+    return { hours: observed ?? surgeConfig.defaultReachHours, observed: observed !== null }
+  })
+
+  // Sums the reaches between two positions, prorating partial reaches and
+  // carrying the end reaches on past the first and last gauge
+  const travelBetween = (from, to) => {
+    const reaches = reachHours.length > 0 ? reachHours : [{ hours: surgeConfig.defaultReachHours, observed: false }]
+    let hours = 0
+    let observed = true
+    reaches.forEach((reach, index) => {
+      const low = index === 0 ? -Infinity : index
+      const high = index === reaches.length - 1 ? Infinity : index + 1
+      const overlap = Math.min(to, high) - Math.max(from, low)
+      if (overlap <= 0) return
+      hours += overlap * reach.hours
+      observed = observed && reach.observed
+    })
+    return { hours, observed }
+  }
+
+  const ecoliTargets = ecoliSites
+    .map(site => ({ siteId: site.siteId, siteName: site.siteName, position: riverPosition(site.location, analyses), isEcoliSite: true }))
+    .filter(target => target.position !== null && target.position >= 0)
+  const targets = [...analyses.map((analysis, index) => ({ ...analysis, position: index })), ...ecoliTargets]
+    .sort((a, b) => a.position - b.position)
+  const lastPosition = Math.max(...targets.map(target => target.position))
+
+  const holdMs = surgeConfig.holdHours * HOUR_MS
+  const isActive = (analysis, index) => analysis.since !== null && (analysis.rising ||
+    now <= analysis.since + travelBetween(index, lastPosition).hours * HOUR_MS + holdMs)
+  const active = analyses.map(isActive)
+
+  return targets.flatMap(target => {
+    const index = target.isEcoliSite ? -1 : target.position
+    if (index !== -1 && active[index]) {
+      const analysis = analyses[index]
+      return [{
+        status: analysis.rising ? 'surging' : 'surged',
+        siteId: analysis.siteId,
+        siteName: analysis.siteName,
+        rate: analysis.rate,
+        unit: analysis.unit,
+        since: analysis.since
+      }]
+    }
+    // Nearest active gauge upstream of this point
+    const sourceIndex = active.findLastIndex((isSourceActive, i) => isSourceActive && i < target.position)
+    if (sourceIndex === -1) return []
+    const travel = travelBetween(sourceIndex, target.position)
+    const arrival = analyses[sourceIndex].since + travel.hours * HOUR_MS
+    if (now > arrival + holdMs) return []
+    return [{
+      status: 'incoming',
+      siteId: target.siteId,
+      siteName: target.siteName,
+      isEcoliSite: Boolean(target.isEcoliSite),
+      fromSiteName: analyses[sourceIndex].siteName,
+      arrival,
+      travelHours: travel.hours,
+      isObservedTravelTime: travel.observed
+    }]
+  })
+}
+
+// Releases under way or starting within the next `hours`
+export const getUpcomingReleases = (releases, now = Date.now(), hours = 24) =>
+  releases.filter(release =>
+    new Date(release.end).getTime() > now && new Date(release.start).getTime() < now + hours * HOUR_MS
+  )
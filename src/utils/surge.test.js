@@ -0,0 +1,91 @@
+import { describe, it, expect } from 'vitest'
+import { detectSurges, estimateTravelHours, getUpcomingReleases } from './surge.js'
+
+const HOUR = 60 * 60 * 1000
+const NOW = Date.parse('2026-06-01T12:00:00.000Z')
+
+// A day of 15-minute gage heights with a 4.5 ft rise over an hour starting
+// `onsetHoursAgo` before NOW (or no rise at all)
+const gauge = (siteId, siteName, location, onsetHoursAgo = null) => {
+  const points = []
+  for (let time = NOW - 24 * HOUR; time <= NOW; time += HOUR / 4) {
+    const share = onsetHoursAgo === null ? 0 : Math.min(1, Math.max(0, (time - (NOW - onsetHoursAgo * HOUR)) / HOUR))
+    points.push({ dateTime: new Date(time).toISOString(), value: 3 + 4.5 * share })
+  }
+  return { siteId, siteName, location, series: { '00065': { points } } }
+}
+
+const ROSWELL = { lat: 34.014, lon: -84.326 }
+const POWERS_FERRY = { lat: 33.903, lon: -84.443 }
+const PACES_FERRY = { lat: 33.859, lon: -84.455 }
+
+describe('estimateTravelHours', () => {
+  it('takes the median lag between paired onsets', () => {
+    const upstream = [0, 10 * HOUR, 20 * HOUR]
+    const downstream = [2 * HOUR, 13 * HOUR, 21 * HOUR]
+    expect(estimateTravelHours(upstream, downstream)).toBe(2)
+  })
+
+  it('returns null when nothing downstream follows', () => {
+    expect(estimateTravelHours([0], [])).toBeNull()
+  })
+})
+
+describe('detectSurges', () => {
+  it('flags a rising site and estimates arrival downstream', () => {
+    const sites = [gauge('1', 'Roswell', ROSWELL, 0.5), gauge('2', 'Powers Ferry', POWERS_FERRY)]
+    const [surging, incoming] = detectSurges(sites, [], NOW)
+
+    expect(surging).toMatchObject({ status: 'surging', siteId: '1', unit: 'ft/hr' })
+    expect(surging.rate).toBeGreaterThan(0.5)
+    expect(incoming).toMatchObject({ status: 'incoming', siteId: '2', fromSiteName: 'Roswell', travelHours: 3, isObservedTravelTime: false })
+    expect(incoming.arrival).toBe(surging.since + 3 * HOUR)
+  })
+
+  it('keeps a surge after the rise levels off until it has passed downstream', () => {
+    const sites = [gauge('1', 'Roswell', ROSWELL, 4), gauge('2', 'Powers Ferry', POWERS_FERRY)]
+    expect(detectSurges(sites, [], NOW).map(surge => surge.status)).toEqual(['surged', 'incoming'])
+    expect(detectSurges(sites, [], NOW + 12 * HOUR)).toEqual([])
+  })
+
+  it('uses travel times observed between the gauges', () => {
+    const sites = [gauge('1', 'Roswell', ROSWELL, 0.5), gauge('2', 'Powers Ferry', POWERS_FERRY)]
+    // An earlier surge that took two hours between them
+    sites[0].series['00065'].points.forEach((point, index) => { if (index >= 8 && index < 12) point.value += index - 7 })
+    sites[1].series['00065'].points.forEach((point, index) => { if (index >= 16 && index < 20) point.value += index - 15 })
+    const incoming = detectSurges(sites, [], NOW).find(surge => surge.status === 'incoming')
+    expect(incoming).toMatchObject({ travelHours: 2, isObservedTravelTime: true })
+  })
+
+  it('places E.coli locations between the gauges and skips those upstream', () => {
+    const sites = [gauge('1', 'Roswell', ROSWELL, 0.5), gauge('2', 'Powers Ferry', POWERS_FERRY), gauge('3', 'Paces Ferry', PACES_FERRY)]
+    const ecoliSites = [
+      { siteId: '9', siteName: 'Norcross', location: { lat: 33.997, lon: -84.202 } },
+      { siteId: '8', siteName: 'Above Powers Ferry', location: { lat: 33.912, lon: -84.428 } }
+    ]
+    const surges = detectSurges(sites, ecoliSites, NOW)
+    expect(surges.map(surge => surge.siteName)).toEqual(['Roswell', 'Above Powers Ferry', 'Powers Ferry', 'Paces Ferry'])
+
+    const ecoli = surges[1]
+    expect(ecoli).toMatchObject({ status: 'incoming', isEcoliSite: true })
+    expect(ecoli.travelHours).toBeGreaterThan(2)
+    expect(ecoli.travelHours).toBeLessThan(3)
+  })
+
+  it('reports nothing for steady water', () => {
+    expect(detectSurges([gauge('1', 'Roswell', ROSWELL), gauge('2', 'Powers Ferry', POWERS_FERRY)], [], NOW)).toEqual([])
+  })
+})
+
+describe('getUpcomingReleases', () => {
+  const release = (startHours, endHours) => ({
+    dam: 'Buford',
+    start: new Date(NOW + startHours * HOUR).toISOString(),
+    end: new Date(NOW + endHours * HOUR).toISOString()
+  })
+
+  it('keeps releases under way or starting within the window', () => {
+    const releases = [release(-3, -1), release(-1, 2), release(10, 12), release(30, 32)]
+    expect(getUpcomingReleases(releases, NOW)).toEqual([releases[1], releases[2]])
+  })
+})
@@ -0,0 +1,57 @@
+// Theme palettes are CSS custom properties in Dashboard.css, picked by the
+// data-theme attribute on <html>. Chart.js and Leaflet can't read CSS, so the
+// colours they need are read back from the applied theme (see useTheme).
+
+export const THEME_OPTIONS = {
+  system: 'Match system',
+  light: 'Light',
+  dark: 'Dark',
+  'high-contrast': 'High contrast'
+}
+
+const cartoTiles = (style) => `https://{s}.basemaps.cartocdn.com/${style}/{z}/{x}/{y}{r}.png`
+
+export const THEMES = {
+  light: { id: 'light', tileUrl: cartoTiles('light_all'), lineWidth: 2 },
+  dark: { id: 'dark', tileUrl: cartoTiles('dark_all'), lineWidth: 2 },
+  'high-contrast': { id: 'high-contrast', tileUrl: cartoTiles('dark_all'), lineWidth: 3 }
+}
+
+// An explicit choice wins; otherwise follow the OS, with a request for more
+// contrast taking priority over light or dark
+export const resolveThemeId = (preference, { prefersDark, prefersMoreContrast }) => {
+  if (THEMES[preference]) return preference
+  if (prefersMoreContrast) return 'high-contrast'
+  return prefersDark ? 'dark' : 'light'
+}
+
+// Line colours by name (see seriesColor in parameters.js) and the per-site
+// colours for comparison charts, upstream in cool colours, downstream in warm
+const SERIES_PROPERTIES = {
+  waterTemperature: '--series-water-temperature',
+  airTemperature: '--series-air-temperature',
+  discharge: '--series-discharge',
+  gageHeight: '--series-gage-height',
+  turbidity: '--series-turbidity',
+  conductance: '--series-conductance',
+  ecoli: '--series-ecoli',
+  dissolvedOxygen: '--series-dissolved-oxygen'
+}
+const SITE_COLOR_COUNT = 6
+
+// The palette entries charts and the map use, from the computed custom properties
+export const readThemeColors = (element = document.documentElement) => {
+  const style = getComputedStyle(element)
+  const read = (name) => style.getPropertyValue(name).trim()
+  return {
+    background: read('--bg-primary'),
+    surface: read('--bg-secondary'),
+    text: read('--text-primary'),
+    mutedText: read('--text-secondary'),
+    grid: read('--border-color'),
+    accent: read('--accent-blue'),
+    warning: read('--accent-yellow'),
+    series: Object.fromEntries(Object.entries(SERIES_PROPERTIES).map(([name, property]) => [name, read(property)])),
+    sites: Array.from({ length: SITE_COLOR_COUNT }, (_, index) => read(`--series-site-${index + 1}`))
+  }
+}
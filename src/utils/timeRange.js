@@ -0,0 +1,63 @@
+const DAY = 24 * 60 * 60 * 1000
+
+// Instantaneous values get unwieldy past about a month of 15-minute readings,
+// so longer windows switch to the daily-values service
+export const MAX_INSTANTANEOUS_DAYS = 31
+
+export const RANGE_PRESETS = [
+  { id: '24h', label: 'Last 24 Hours', shortLabel: '24h', days: 1 },
+  { id: '7d', label: 'Last 7 Days', shortLabel: '7d', days: 7 },
+  { id: '30d', label: 'Last 30 Days', shortLabel: '30d', days: 30 },
+  { id: '1y', label: 'Last Year', shortLabel: '1y', days: 365 },
+  { id: 'custom', label: 'Custom', shortLabel: 'Custom' }
+]
+
+export const DEFAULT_RANGE = { preset: '7d' }
+
+const pad = (value) => String(value).padStart(2, '0')
+
+// YYYY-MM-DD for the local calendar day; toISOString would give the UTC day,
+// which is already tomorrow on an Eastern evening
+export const toDateInput = (date) =>
+  `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/
+
+// Both dates filled in (YYYY-MM-DD) and the start no later than the end
+export const isValidCustomRange = ({ start, end }) =>
+  DATE_PATTERN.test(start || '') && DATE_PATTERN.test(end || '') && start <= end
+
+// Turns a range selection into the request window and the service to ask
+export const resolveRange = (range = DEFAULT_RANGE, now = new Date()) => {
+  const preset = RANGE_PRESETS.find(p => p.id === range.preset) || RANGE_PRESETS[1]
+
+  if (preset.id === 'custom' && range.start) {
+    // A reversed range means the dates were entered the wrong way round
+    const [first, last] = range.end && range.end < range.start ? [range.end, range.start] : [range.start, range.end]
+    const start = new Date(`${first}T00:00:00`)
+    const end = last ? new Date(`${last}T23:59:59`) : now
+    const days = Math.max(1, Math.ceil((end - start) / DAY))
+    return {
+      startDT: start,
+      endDT: last ? end : undefined,
+      days,
+      service: days > MAX_INSTANTANEOUS_DAYS ? 'dv' : 'iv',
+      label: `${first} to ${last || 'today'}`
+    }
+  }
+
+  const days = preset.days || 7
+  return {
+    startDT: new Date(now.getTime() - days * DAY),
+    endDT: undefined,
+    days,
+    service: days > MAX_INSTANTANEOUS_DAYS ? 'dv' : 'iv',
+    label: preset.label
+  }
+}
+
+export const defaultCustomRange = (now = new Date()) => ({
+  preset: 'custom',
+  start: toDateInput(new Date(now.getTime() - 30 * DAY)),
+  end: toDateInput(now)
+})
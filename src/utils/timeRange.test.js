@@ -0,0 +1,61 @@
+import { describe, it, expect } from 'vitest'
+import { resolveRange, defaultCustomRange, isValidCustomRange, toDateInput, MAX_INSTANTANEOUS_DAYS } from './timeRange.js'
+
+const NOW = new Date('2026-06-15T12:00:00')
+
+describe('resolveRange', () => {
+  it('reads presets back from now with instantaneous values', () => {
+    const range = resolveRange({ preset: '30d' }, NOW)
+    expect(range).toMatchObject({ days: 30, service: 'iv', endDT: undefined, label: 'Last 30 Days' })
+    expect(NOW - range.startDT).toBe(30 * 24 * 60 * 60 * 1000)
+  })
+
+  it('switches long windows to daily values', () => {
+    expect(resolveRange({ preset: '1y' }, NOW)).toMatchObject({ days: 365, service: 'dv' })
+  })
+
+  it('falls back to the default for an unknown preset', () => {
+    expect(resolveRange({ preset: 'nope' }, NOW)).toMatchObject({ days: 7, label: 'Last 7 Days' })
+  })
+
+  it('covers whole days of a custom range', () => {
+    const range = resolveRange({ preset: 'custom', start: '2026-05-01', end: '2026-05-10' }, NOW)
+    expect(range.startDT).toEqual(new Date('2026-05-01T00:00:00'))
+    expect(range.endDT).toEqual(new Date('2026-05-10T23:59:59'))
+    expect(range).toMatchObject({ days: 10, service: 'iv', label: '2026-05-01 to 2026-05-10' })
+  })
+
+  it('swaps the dates of a reversed custom range', () => {
+    const range = resolveRange({ preset: 'custom', start: '2026-05-10', end: '2026-05-01' }, NOW)
+    expect(range.startDT).toEqual(new Date('2026-05-01T00:00:00'))
+    expect(range.endDT).toEqual(new Date('2026-05-10T23:59:59'))
+    expect(range).toMatchObject({ days: 10, label: '2026-05-01 to 2026-05-10' })
+  })
+
+  it('asks for daily values past the instantaneous limit', () => {
+    const range = resolveRange({ preset: 'custom', start: '2026-01-01', end: '2026-03-01' }, NOW)
+    expect(range.days).toBeGreaterThan(MAX_INSTANTANEOUS_DAYS)
+    expect(range.service).toBe('dv')
+  })
+})
+
+describe('isValidCustomRange', () => {
+  it('needs both dates with the start first', () => {
+    expect(isValidCustomRange({ start: '2026-05-01', end: '2026-05-01' })).toBe(true)
+    expect(isValidCustomRange({ start: '2026-05-10', end: '2026-05-01' })).toBe(false)
+    expect(isValidCustomRange({ start: '', end: '2026-05-01' })).toBe(false)
+  })
+})
+
+describe('toDateInput', () => {
+  it('uses the local calendar day', () => {
+    expect(toDateInput(new Date(2026, 4, 31, 23, 30))).toBe('2026-05-31')
+    expect(toDateInput(new Date(2026, 5, 1, 0, 15))).toBe('2026-06-01')
+  })
+})
+
+describe('defaultCustomRange', () => {
+  it('spans the last 30 days', () => {
+    expect(defaultCustomRange(NOW)).toEqual({ preset: 'custom', start: '2026-05-16', end: '2026-06-15' })
+  })
+})
@@ -0,0 +1,104 @@
+import { fahrenheitToCelsius } from './format.js'
+
+const HOUR_MS = 60 * 60 * 1000
+// Water temperature follows the air with a lag; a trailing daily mean of air
+// temperature captures most of it
+const AIR_MEAN_HOURS = 24
+const MIN_PAIRS = 24
+// How quickly today's departure from the fitted line fades out of the projection
+const OFFSET_DECAY_HOURS = 24
+const Z_95 = 1.96
+
+/**
+ * One air-temperature series (°C, oldest first) from station observations
+ * followed by the NWS hourly forecast for the hours after them.
+ */
+export const buildAirSeries = (observations, hourlyPeriods) => {
+  const observed = observations
+    .filter(observation => observation.temperature !== null)
+    .map(observation => ({ time: new Date(observation.timestamp).getTime(), temperature: observation.temperature }))
+  const lastObserved = observed.length > 0 ? observed[observed.length - 1].time : -Infinity
+  const forecast = hourlyPeriods
+    .map(period => ({
+      time: new Date(period.startTime).getTime(),
+      temperature: period.temperatureUnit === 'F' ? fahrenheitToCelsius(period.temperature) : period.temperature
+    }))
+    .filter(entry => entry.time > lastObserved)
+  return [...observed, ...forecast]
+}
+
+const trailingAirMean = (airSeries, time) => {
+  const values = airSeries
+    .filter(entry => entry.time <= time && entry.time > time - AIR_MEAN_HOURS * HOUR_MS)
+    .map(entry => entry.temperature)
+  // Need most of the day covered for the mean to mean anything
+  if (values.length < AIR_MEAN_HOURS / 2) return null
+  return values.reduce((sum, value) => sum + value, 0) / values.length
+}
+
+// Hourly means of the water readings
+const hourlyWater = (points) => {
+  const hours = new Map()
+  points.forEach(point => {
+    const hour = Math.floor(new Date(point.dateTime).getTime() / HOUR_MS) * HOUR_MS
+    const bucket = hours.get(hour) || { sum: 0, count: 0 }
+    bucket.sum += point.value
+    bucket.count += 1
+    hours.set(hour, bucket)
+  })
+  return [...hours.entries()].map(([time, { sum, count }]) => ({ time, value: sum / count }))
+}
+
+/**
+ * Least-squares fit of water temperature against the trailing 24-hour mean
+ * air temperature. Null when there's too little overlap or no positive
+ * relationship (e.g. cold dam tailwater that ignores the weather).
+ * @returns {{intercept: number, slope: number, residualSd: number, n: number}|null}
+ */
+export const fitWaterTemperatureModel = (waterPoints, airSeries) => {
+  const pairs = hourlyWater(waterPoints)
+    .map(({ time, value }) => ({ x: trailingAirMean(airSeries, time), y: value }))
+    .filter(pair => pair.x !== null)
+  if (pairs.length < MIN_PAIRS) return null
+
+  const n = pairs.length
+  const meanX = pairs.reduce((sum, pair) => sum + pair.x, 0) / n
+  const meanY = pairs.reduce((sum, pair) => sum + pair.y, 0) / n
+  const sxx = pairs.reduce((sum, pair) => sum + (pair.x - meanX) ** 2, 0)
+  if (sxx === 0) return null
+  const slope = pairs.reduce((sum, pair) => sum + (pair.x - meanX) * (pair.y - meanY), 0) / sxx
+  if (slope <= 0) return null
+  const intercept = meanY - slope * meanX
+  const residualSd = Math.sqrt(pairs.reduce((sum, pair) => sum + (pair.y - intercept - slope * pair.x) ** 2, 0) / Math.max(n - 2, 1))
+  return { intercept, slope, residualSd, n }
+}
+
+/**
+ * Projects water temperature (°C) hourly from the last reading for as far as
+ * the air forecast allows (up to `hours`), starting from the observed value
+ * and easing onto the fitted relationship. The 95% band widens with lead time.
+ * @returns {{model: Object, points: Array<{x: number, y: number, low: number, high: number}>}|null}
+ */
+export const forecastWaterTemperature = (waterPoints, airSeries, { hours = 72 } = {}) => {
+  if (waterPoints.length === 0 || airSeries.length === 0) return null
+  const model = fitWaterTemperatureModel(waterPoints, airSeries)
+  if (!model) return null
+
+  const last = waterPoints[waterPoints.length - 1]
+  const lastTime = new Date(last.dateTime).getTime()
+  const lastAirMean = trailingAirMean(airSeries, lastTime)
+  if (lastAirMean === null) return null
+  const offset = last.value - (model.intercept + model.slope * lastAirMean)
+
+  const points = [{ x: lastTime, y: last.value, low: last.value, high: last.value }]
+  for (let hour = 1; hour <= hours; hour++) {
+    const time = lastTime + hour * HOUR_MS
+    if (time > airSeries[airSeries.length - 1].time) break
+    const airMean = trailingAirMean(airSeries, time)
+    if (airMean === null) break
+    const y = model.intercept + model.slope * airMean + offset * Math.exp(-hour / OFFSET_DECAY_HOURS)
+    const halfWidth = Z_95 * model.residualSd * Math.sqrt(1 + hour / 24)
+    points.push({ x: time, y, low: y - halfWidth, high: y + halfWidth })
+  }
+  return points.length > 1 ? { model, points } : null
+}
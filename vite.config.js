@@ -1,8 +1,19 @@
 import { defineConfig } from 'vite'
 import react from '@vitejs/plugin-react'
 
+// Lists the hashed JS and CSS so the service worker can cache the whole app on
+// install; the page has already loaded them by the time it registers
+const precacheManifest = () => ({
+  name: 'precache-manifest',
+  apply: 'build',
+  generateBundle (options, bundle) {
+    const files = Object.keys(bundle).filter(fileName => !fileName.endsWith('.html') && !fileName.endsWith('.map'))
+    this.emitFile({ type: 'asset', fileName: 'precache-manifest.json', source: JSON.stringify(files) })
+  }
+})
+
 export default defineConfig({
-  plugins: [react()],
+  plugins: [react(), precacheManifest()],
   base: '/chattahoochee-river-dashboard/',
   build: {
     outDir: 'dist',